@@ -0,0 +1,35 @@
+#!/usr/bin/env node
+
+const fs = require('fs')
+const b4a = require('b4a')
+const { decode } = require('./lib/transcript')
+
+const args = process.argv.slice(2)
+const [capture, keyLog] = args.filter((arg) => !arg.startsWith('--'))
+
+if (!capture) {
+  console.error('Usage: secret-stream-transcript <capture> [key-log] [--padding]')
+  process.exit(1)
+}
+
+const data = fs.readFileSync(capture)
+const { handshakeHash, initiator, frames, remaining } = decode(
+  data,
+  keyLog ? fs.readFileSync(keyLog, 'utf-8') : [],
+  { padding: args.includes('--padding') }
+)
+
+if (handshakeHash !== null) {
+  const role = initiator ? 'initiator' : 'responder'
+  console.log('session ' + b4a.toString(handshakeHash, 'hex') + ', written by the ' + role)
+}
+
+// offset type length [plaintext]
+for (const { offset, type, frame, plain } of frames) {
+  const line = offset + ' ' + type + ' ' + frame.byteLength
+  console.log(plain === null ? line : line + ' ' + b4a.toString(plain, 'hex'))
+}
+
+if (remaining.byteLength > 0) {
+  console.log(data.byteLength - remaining.byteLength + ' partial ' + remaining.byteLength)
+}
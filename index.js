@@ -1,25 +1,87 @@
-const { Pull, Push, HEADERBYTES, KEYBYTES, ABYTES } = require('sodium-secretstream')
+const { Pull, Push, KEYBYTES, ABYTES } = require('sodium-secretstream')
 const sodium = require('sodium-universal')
-const crypto = require('hypercore-crypto')
-const { Duplex, Writable, getStreamError } = require('streamx')
+const {
+  Duplex,
+  Writable,
+  getStreamError,
+  isEnding,
+  isEnded,
+  isFinishing,
+  isFinished
+} = require('streamx')
 const b4a = require('b4a')
 const Timeout = require('timeout-refresh')
 const unslab = require('unslab')
 const Bridge = require('./lib/bridge')
 const Handshake = require('./lib/handshake')
-
-const IDHEADERBYTES = HEADERBYTES + 32
-const [NS_INITIATOR, NS_RESPONDER, NS_SEND] = crypto.namespace('hyperswarm/secret-stream', 3)
+const ReplayWindow = require('./lib/replay-window')
+const Mux = require('./lib/channels')
+const Tickets = require('./lib/tickets')
+const SecretStreamError = require('./lib/errors')
+const {
+  NAMESPACE,
+  IDHEADERBYTES,
+  TAG_PUSH_BYTE,
+  TAG_REKEY_BYTE,
+  TAG_FINAL_BYTE,
+  streamId,
+  unpad
+} = require('./lib/frames')
+
+const [
+  NS_INITIATOR,
+  NS_RESPONDER,
+  NS_SEND,
+  NS_EXPORT,
+  NS_ATTEST,
+  NS_TICKET,
+  NS_RESUME,
+  NS_MIGRATE,
+  NS_SECRET
+] = NAMESPACE
 const MAX_ATOMIC_WRITE = 256 * 256 * 256 - 1
+const MAX_FRAGMENT = MAX_ATOMIC_WRITE - ABYTES
+const DEFAULT_MAX_MESSAGE_SIZE = 64 * 1024 * 1024
+const DEFAULT_FRAGMENT_SIZE = 64 * 1024
+const DEFAULT_MAX_HANDSHAKE_FRAME_SIZE = 4096
+const MAX_UNACKED = 32 // acks are also acked, but only every this many
+const DEFAULT_COVER_SIZE = 1024
+const SEGMENTHEADERBYTES = 4 // flags (1 byte) + length (uint24le)
+const SEGMENT_PART = 1
+const SEGMENT_END = 2
+const PROTOCOL_VERSION = 1
+// control frames are sent with the push tag, type (1 byte) + body, unknown types are ignored
+const CONTROL_KEEPALIVE = 0
+const CONTROL_ACK = 1
+const CONTROL_PING = 2
+const CONTROL_PONG = 3
+const EMPTY = b4a.alloc(0)
+const DENIED = b4a.alloc(3) // empty frame
+const KEEPALIVE = b4a.alloc(0) // written to send a keep alive, never passed by the user
+const TAG = b4a.alloc(1)
+const RESUME = NS_RESUME.subarray(0, 16) // prefix of a resumption hello, never a noise message
+const RESUME_REJECTED = b4a.from([1, 0, 0, 0]) // one byte frame
+const TAG_MESSAGE = sodium.crypto_secretstream_xchacha20poly1305_TAG_MESSAGE
+const TAG_PUSH = sodium.crypto_secretstream_xchacha20poly1305_TAG_PUSH
+const TAG_REKEY = sodium.crypto_secretstream_xchacha20poly1305_TAG_REKEY
 
 module.exports = class NoiseSecretStream extends Duplex {
   constructor(isInitiator, rawStream, opts = {}) {
     super({ mapWritable: toBuffer })
 
     if (typeof isInitiator !== 'boolean') {
-      throw new Error('isInitiator should be a boolean')
+      throw SecretStreamError.BAD_ARGUMENT('isInitiator should be a boolean')
+    }
+
+    if (opts.session && opts.session.isInitiator !== isInitiator) {
+      throw SecretStreamError.BAD_ARGUMENT(
+        'Session was exported from the ' + (isInitiator ? 'responder' : 'initiator')
+      )
     }
 
+    if (!opts.handshake && !opts.session)
+      Handshake.validate(isInitiator, opts.pattern || 'XX', opts)
+
     this.noiseStream = this
     this.isInitiator = isInitiator
     this.rawStream = null
@@ -27,10 +89,23 @@ module.exports = class NoiseSecretStream extends Duplex {
     this.publicKey = opts.publicKey || null
     this.remotePublicKey = opts.remotePublicKey || null
     this.handshakeHash = null
+    this.remoteHandshakePayload = null
+    this.remoteUnauthenticatedHandshakePayload = null
     this.connected = false
     this.keepAlive = opts.keepAlive || 0
     this.timeout = 0
     this.enableSend = opts.enableSend !== false
+    this.finalTag = opts.finalTag === true
+    this.rekeyBytes = opts.rekeyBytes || 0
+    this.rekeyInterval = opts.rekeyInterval || 0
+    this.replayWindow = opts.replayWindow === undefined ? 1024 : opts.replayWindow
+    this.fragment = opts.fragment === true
+    this.fragmentSize = opts.fragmentSize || DEFAULT_FRAGMENT_SIZE
+    this.maxMessageSize = opts.maxMessageSize || DEFAULT_MAX_MESSAGE_SIZE
+    this.maxFrameSize = opts.maxFrameSize || MAX_ATOMIC_WRITE
+    this.maxHandshakeFrameSize = opts.maxHandshakeFrameSize || DEFAULT_MAX_HANDSHAKE_FRAME_SIZE
+    this.migration = opts.migration === true
+    this.padding = opts.padding || null
 
     // pointer for upstream to set data here if they want
     this.userData = null
@@ -42,6 +117,27 @@ module.exports = class NoiseSecretStream extends Duplex {
 
     this.rawBytesWritten = 0
     this.rawBytesRead = 0
+    this.droppedReplays = 0
+    this.resumed = false
+    this.protocolVersion = 0
+    this.stats = {
+      handshakeDuration: 0, // ms, 0 if no handshake was done by the stream
+      framesSent: 0,
+      framesReceived: 0,
+      plaintextBytesSent: 0,
+      plaintextBytesReceived: 0,
+      ciphertextBytesSent: 0,
+      ciphertextBytesReceived: 0,
+      keepAlivesSent: 0,
+      keepAlivesReceived: 0,
+      unorderedSent: 0,
+      unorderedReceived: 0,
+      unorderedDropped: { short: 0, mac: 0, replay: 0 },
+      readPauses: 0, // times the raw stream was paused as nobody is reading
+      writePauses: 0, // times a write waited for the raw stream to drain
+      rtt: 0, // smoothed round trip time of pings, in ms
+      jitter: 0 // smoothed variation of the round trip time, in ms
+    }
 
     // metadata used by 'hyperdht'
     this.relay = null
@@ -52,14 +148,44 @@ module.exports = class NoiseSecretStream extends Duplex {
 
     // handshake state
     this._handshake = null
-    this._handshakePattern = opts.pattern || null
+    this._handshakePattern = opts.pattern || 'XX'
+    this._handshakePrologue = opts.prologue || null
+    this._handshakePsk = opts.psk || null
+    this._handshakePayload = opts.handshakePayload || null
+    this._earlyHandshakePayload = opts.earlyHandshakePayload || null
     this._handshakeDone = null
+    this._tickets = opts.tickets || null
+    // resuming skips the handshake, so there would be nothing to authorize
+    this._resumption =
+      !opts.authorize && canResume(opts.resume, this.remotePublicKey) ? opts.resume : null
+    this._resumeNonce = null
+    this._keyLog = opts.keyLog || null // debugging only, see the readme
 
     // message parsing state
     this._state = 0
     this._len = 0
     this._tmp = 1
     this._message = null
+    this._fragments = null
+    this._fragmentsByteLength = 0
+    // padding needs at least a byte, so fragments are one byte smaller to still fit the frame size
+    this._fragmentSize = fragmentSize(this.fragmentSize, this.padding)
+    this._paddedLength = paddingPolicy(this.padding)
+
+    // cover traffic state, data is queued and sent in fixed size cells of segments at a fixed rate
+    this._cover = coverOptions(
+      opts.cover || null,
+      this.padding === null ? MAX_FRAGMENT : MAX_FRAGMENT - 1
+    )
+    this._coverTimer = null
+    this._coverQueue = this._cover === null ? null : []
+    this._coverQueued = 0
+    this._coverOffset = 0
+    this._coverDone = null
+    this._coverFinal = null
+    this._coverRekey = false
+    this._coverParts = null
+    this._coverPartsByteLength = 0
 
     this._openedDone = openedDone
     this._startDone = null
@@ -74,6 +200,42 @@ module.exports = class NoiseSecretStream extends Duplex {
     this._timeoutTimer = null
     this._keepAliveTimer = null
     this._sendState = null
+    this._secret = null
+    this._replayWindow = null
+    this._authorize = opts.authorize || null
+    this._authorizing = null
+    this._authorizationError = null
+    this._mux = opts.channels === true ? new Mux(this) : null
+    this._remoteFinal = false
+    this._rekeyTimer = null
+    this._rekeyMessage = null
+    this._bytesSinceRekey = 0
+    this._keyPair = null
+    this._generatedKeyPair = null // wiped on destroy, unlike a key pair passed in that might be shared
+
+    // migration state, sent frames are kept until the remote acks them so they can be resent
+    this._sent = this.migration ? [] : null
+    this._sentSeq = 0 // seq of the first frame in _sent
+    this._received = 0
+    this._unacked = 0
+    this._ackPending = false
+    this._migrating = false
+    this._disconnected = false
+    this._endPending = false
+    this._sentFinal = false
+
+    // pending pings by id
+    this._pings = new Map()
+    this._nextPingId = 0
+    this._rttSampled = false
+    this._handshakeStart = 0
+
+    this._onrawerrorBound = this._onrawerror.bind(this)
+    this._onrawcloseBound = this._onrawclose.bind(this)
+    this._onrawdataBound = this._onrawdata.bind(this)
+    this._onrawendBound = this._onrawend.bind(this)
+    this._onrawdrainBound = this._onrawdrain.bind(this)
+    this._onmessageBound = this._onmessage.bind(this)
 
     if (opts.autoStart !== false) this.start(rawStream, opts)
 
@@ -82,10 +244,21 @@ module.exports = class NoiseSecretStream extends Duplex {
     this.pause()
   }
 
+  static SecretStreamError = SecretStreamError
+  static PROTOCOL_VERSION = PROTOCOL_VERSION
+
   static keyPair(seed) {
     return Handshake.keyPair(seed)
   }
 
+  static verifyAttestation(signature, payload, publicKey, handshakeHash) {
+    return Handshake.verify(signature, attestation(handshakeHash, payload), publicKey)
+  }
+
+  static tickets(opts) {
+    return new Tickets(opts)
+  }
+
   static id(handshakeHash, isInitiator, id) {
     return streamId(handshakeHash, isInitiator, id)
   }
@@ -116,8 +289,214 @@ module.exports = class NoiseSecretStream extends Duplex {
   }
 
   sendKeepAlive() {
-    const empty = this.alloc(0)
-    this.write(empty)
+    this.write(KEEPALIVE)
+  }
+
+  rekey() {
+    if (this._rekeyMessage !== null) return // already queued
+
+    // the rekey tag is carried by an empty message so it is sent right away
+    this._rekeyMessage = this.alloc(0)
+    this.write(this._rekeyMessage)
+  }
+
+  exportKeyingMaterial(label, context = null, length = 32) {
+    if (this.destroying) throw SecretStreamError.STREAM_DESTROYED()
+    if (this.handshakeHash === null)
+      throw SecretStreamError.INVALID_OPERATION('Handshake is not done yet')
+
+    if (
+      length < sodium.crypto_generichash_BYTES_MIN ||
+      length > sodium.crypto_generichash_BYTES_MAX
+    ) {
+      throw SecretStreamError.BAD_ARGUMENT(
+        'Length must be between ' +
+          sodium.crypto_generichash_BYTES_MIN +
+          ' and ' +
+          sodium.crypto_generichash_BYTES_MAX
+      )
+    }
+
+    label = toBuffer(label)
+    if (context !== null) context = toBuffer(context)
+
+    // length prefixed so different label and context splits never collide, and no context
+    // is different from an empty one
+    const info = b4a.alloc(13)
+    writeUint32le(label.byteLength, info, 0)
+    info[4] = context === null ? 0 : 1
+    writeUint32le(context === null ? 0 : context.byteLength, info, 5)
+    writeUint32le(length, info, 9)
+
+    const out = b4a.allocUnsafe(length)
+    const inputs = [NS_EXPORT, info, label]
+    if (context !== null) inputs.push(context)
+
+    sodium.crypto_generichash_batch(out, inputs, this._secret)
+    return out
+  }
+
+  attest(payload = EMPTY) {
+    if (this.destroying) throw SecretStreamError.STREAM_DESTROYED()
+    if (this.handshakeHash === null)
+      throw SecretStreamError.INVALID_OPERATION('Handshake is not done yet')
+    if (this._keyPair === null)
+      throw SecretStreamError.INVALID_OPERATION('No static key pair to sign the attestation with')
+
+    return Handshake.sign(attestation(this.handshakeHash, payload), this._keyPair)
+  }
+
+  issueTicket() {
+    if (this.destroying) throw SecretStreamError.STREAM_DESTROYED()
+    if (this.isInitiator)
+      throw SecretStreamError.INVALID_OPERATION('Only the responder can issue tickets')
+    if (this._tickets === null) throw SecretStreamError.INVALID_OPERATION('Tickets are not enabled')
+    if (this.handshakeHash === null)
+      throw SecretStreamError.INVALID_OPERATION('Handshake is not done yet')
+    if (this.remotePublicKey === null)
+      throw SecretStreamError.INVALID_OPERATION('Tickets need a handshake with static keys')
+
+    return this._tickets.issue(resumptionSecret(this._secret), this.publicKey, this.remotePublicKey)
+  }
+
+  resumption(ticket) {
+    if (this.destroying) throw SecretStreamError.STREAM_DESTROYED()
+    if (!this.isInitiator)
+      throw SecretStreamError.INVALID_OPERATION('Only the initiator can resume with a ticket')
+    if (this.handshakeHash === null)
+      throw SecretStreamError.INVALID_OPERATION('Handshake is not done yet')
+
+    return {
+      ticket,
+      expiry: Tickets.expiry(ticket),
+      secret: resumptionSecret(this._secret),
+      publicKey: this.publicKey,
+      remotePublicKey: this.remotePublicKey
+    }
+  }
+
+  exportSession() {
+    if (this.destroying) throw SecretStreamError.STREAM_DESTROYED()
+    if (this._encrypt === null)
+      throw SecretStreamError.INVALID_OPERATION('Handshake is not done yet')
+    // those would be dropped with this stream, as their frames are not written yet
+    if (this._writableState.queue.length > 0 || this._drainDone !== null) {
+      throw SecretStreamError.INVALID_OPERATION(
+        'Sessions with queued writes can not be exported, flush the stream first'
+      )
+    }
+    if (this._mux !== null && this._mux.opened > 0) {
+      throw SecretStreamError.INVALID_OPERATION('Sessions with open channels can not be exported')
+    }
+    if (this._coverQueued > 0 || this._coverQueue?.length > 0) {
+      throw SecretStreamError.INVALID_OPERATION(
+        'Sessions with queued cover traffic can not be exported'
+      )
+    }
+
+    const session = {
+      isInitiator: this.isInitiator,
+      publicKey: copy(this.publicKey),
+      remotePublicKey: copy(this.remotePublicKey),
+      handshakeHash: copy(this.handshakeHash),
+      protocolVersion: this.protocolVersion,
+      encrypt: { key: copy(this._encrypt.key), state: copy(this._encrypt.state) },
+      decrypt: { key: copy(this._decrypt.key), state: copy(this._decrypt.state) },
+      setup: this._setup, // the header of the remote was not received yet
+      remoteFinal: this._remoteFinal,
+      sendState: copy(this._sendState),
+      secret: copy(this._secret),
+      replayWindow: this._replayWindow === null ? null : this._replayWindow.export(),
+      bytesSinceRekey: this._bytesSinceRekey,
+      fragments: this._fragments === null ? null : b4a.concat(this._fragments),
+      sent: this._sent === null ? null : this._sent.map(copy),
+      sentSeq: this._sentSeq,
+      received: this._received,
+      rawBytesRead: this.rawBytesRead,
+      rawBytesWritten: this.rawBytesWritten,
+      data: this._pendingRawData() // read from the raw stream, but not a full frame yet
+    }
+
+    // hand over the raw stream as is and make sure this stream never uses the keys again
+    this._detachRawStream()
+    this.rawStream = null
+    this._rawStream = null
+
+    this._wipe()
+
+    this._encrypt = null
+    this._decrypt = null
+
+    this.destroy()
+
+    return session
+  }
+
+  async ping() {
+    if ((await this.opened) === false || this.destroying) throw SecretStreamError.STREAM_DESTROYED()
+    if (isFinishing(this) || isFinished(this)) throw SecretStreamError.STREAM_ENDED()
+    if (this.protocolVersion === 0)
+      throw SecretStreamError.INVALID_OPERATION('Remote does not support pings')
+    if (this._cover !== null)
+      throw SecretStreamError.INVALID_OPERATION('Pings are not supported with cover traffic')
+
+    const id = this._nextPingId
+    const body = b4a.allocUnsafe(4)
+
+    this._nextPingId = (id + 1) >>> 0
+    writeUint32le(id, body, 0)
+
+    return new Promise((resolve, reject) => {
+      this._pings.set(id, { sent: Date.now(), resolve, reject })
+      this._sendControl(CONTROL_PING, body)
+    })
+  }
+
+  migrate(rawStream) {
+    if (this._sent === null)
+      throw SecretStreamError.INVALID_OPERATION(
+        'Migration is not enabled, set the migration option'
+      )
+    if (this.destroying) throw SecretStreamError.STREAM_DESTROYED()
+    if (this._encrypt === null)
+      throw SecretStreamError.INVALID_OPERATION('Handshake is not done yet')
+
+    if (!this._disconnected) this._disconnect()
+
+    this.rawStream = rawStream
+    this._rawStream = rawStream
+    this._utp = typeof rawStream.setContentSize === 'function' ? rawStream : null
+
+    // drop whatever was left of a frame on the old transport
+    this._state = 0
+    this._len = 0
+    this._tmp = 1
+    this._message = null
+
+    this._disconnected = false
+    this._migrating = true
+
+    rawStream.on('error', this._onrawerrorBound)
+    rawStream.on('close', this._onrawcloseBound)
+    rawStream.on('data', this._onrawdataBound)
+    rawStream.on('end', this._onrawendBound)
+    rawStream.on('drain', this._onrawdrainBound)
+
+    if (this.enableSend) rawStream.on('message', this._onmessageBound)
+
+    // tell the remote how much we got, so it can resend the rest
+    const frame = b4a.allocUnsafe(3 + 8 + 32)
+    writeUint24le(8 + 32, frame)
+    writeUint64le(this._received, frame, 3)
+    migrationMac(this._secret, this.isInitiator, frame.subarray(3, 11), frame.subarray(11))
+
+    rawStream.write(frame)
+  }
+
+  openChannel(name) {
+    if (this._mux === null)
+      throw SecretStreamError.INVALID_OPERATION('Channels are not enabled, set the channels option')
+    return this._mux.open(name)
   }
 
   start(rawStream, opts = {}) {
@@ -132,10 +511,10 @@ module.exports = class NoiseSecretStream extends Duplex {
       this._rawStream = this.rawStream.reverse
     }
 
-    this.rawStream.on('error', this._onrawerror.bind(this))
-    this.rawStream.on('close', this._onrawclose.bind(this))
+    this.rawStream.on('error', this._onrawerrorBound)
+    this.rawStream.on('close', this._onrawcloseBound)
 
-    this._startHandshake(opts.handshake, opts.keyPair || null)
+    this._startHandshake(opts.handshake, opts.keyPair || null, opts.session || null)
     this._continueOpen(null)
 
     if (this.destroying) return
@@ -185,21 +564,37 @@ module.exports = class NoiseSecretStream extends Duplex {
   }
 
   _onkeypair(keyPair) {
-    const pattern = this._handshakePattern || 'XX'
+    const pattern = this._handshakePattern
     const remotePublicKey = this.remotePublicKey
 
-    this._handshake = new Handshake(this.isInitiator, keyPair, remotePublicKey, pattern)
-    this.publicKey = this._handshake.keyPair.publicKey
+    this._handshake = new Handshake(this.isInitiator, keyPair, remotePublicKey, pattern, {
+      authorize: this._authorize !== null,
+      prologue: this._handshakePrologue,
+      psk: this._handshakePsk,
+      payload: this._handshakePayload,
+      earlyPayload: this._earlyHandshakePayload,
+      version: PROTOCOL_VERSION
+    })
+    this.publicKey = this._handshake.publicKey
+    if (this.publicKey !== null) this._keyPair = keyPair
   }
 
-  _startHandshake(handshake, keyPair) {
+  _startHandshake(handshake, keyPair, session) {
+    if (session) {
+      this._restoreSession(session)
+      return
+    }
+
     if (handshake) {
       const { tx, rx, hash, publicKey, remotePublicKey } = handshake
-      this._setupSecretStream(tx, rx, hash, publicKey, remotePublicKey)
+      this.protocolVersion = Math.min(PROTOCOL_VERSION, handshake.version || 0)
+      this._setupSecretStream(tx, rx, hash, publicKey, remotePublicKey, handshake.pattern || null)
       return
     }
 
-    if (!keyPair) keyPair = Handshake.keyPair()
+    this._handshakeStart = Date.now()
+
+    if (!keyPair) keyPair = this._generatedKeyPair = Handshake.keyPair()
 
     if (typeof keyPair.then === 'function') {
       this._onkeypairpromise(keyPair)
@@ -208,12 +603,113 @@ module.exports = class NoiseSecretStream extends Duplex {
     }
   }
 
+  _restoreSession(session) {
+    this._encrypt = new Push(unslab(session.encrypt.key))
+    this._encrypt.state.set(session.encrypt.state)
+    this._decrypt = new Pull(unslab(session.decrypt.key))
+    this._decrypt.state.set(session.decrypt.state)
+    this._setup = session.setup
+    this._remoteFinal = session.remoteFinal
+
+    // copy everything, so it also works with the plain typed arrays from structured clones
+    this.publicKey = copy(session.publicKey)
+    this.remotePublicKey = copy(session.remotePublicKey)
+    this.handshakeHash = copy(session.handshakeHash)
+    this.protocolVersion = session.protocolVersion
+
+    this._sendState = unslab(copy(session.sendState))
+    this._secret = unslab(copy(session.secret))
+
+    if (session.replayWindow !== null && this.replayWindow > 0) {
+      this._replayWindow = ReplayWindow.from(session.replayWindow)
+    } else if (this.replayWindow > 0) {
+      this._replayWindow = new ReplayWindow(this.replayWindow)
+    }
+
+    this._bytesSinceRekey = session.bytesSinceRekey
+    if (session.fragments !== null) this._fragments = [copy(session.fragments)]
+    this._fragmentsByteLength = session.fragments === null ? 0 : session.fragments.byteLength
+
+    if (this._sent !== null && session.sent !== null) {
+      this._sent = session.sent.map(copy)
+      this._sentSeq = session.sentSeq
+      this._received = session.received
+    }
+
+    this.rawBytesRead = session.rawBytesRead
+    this.rawBytesWritten = session.rawBytesWritten
+
+    this._startIntervals()
+
+    if (session.data.byteLength > 0) this._onrawdata(copy(session.data))
+  }
+
+  _pendingRawData() {
+    if (this._state === 0) {
+      // part of the length prefix
+      const data = b4a.allocUnsafe(Math.log2(this._tmp) / 8)
+      for (let i = 0; i < data.byteLength; i++) data[i] = (this._len >>> (8 * i)) & 255
+      return data
+    }
+
+    const data = b4a.allocUnsafe(3 + this._tmp)
+    writeUint24le(this._len, data)
+    if (this._tmp > 0) data.set(this._message.subarray(0, this._tmp), 3)
+    return data
+  }
+
   _onrawerror(err) {
-    this.destroy(err)
+    if (this._canDisconnect()) this._ondisconnect()
+    else this.destroy(this._authorizationError || err)
   }
 
   _onrawclose() {
-    if (this._ended !== 0) this.destroy()
+    if (this._ended === 0) return
+    if (this._canDisconnect()) this._ondisconnect()
+    else if (this._truncated()) this.destroy(SecretStreamError.TRUNCATED())
+    else this.destroy(this._authorizationError)
+  }
+
+  _truncated() {
+    // a raw stream that was ended by the remote may still hold the unread final message
+    const raw = this._rawStream
+    return (
+      this.finalTag &&
+      !this._remoteFinal &&
+      this._decrypt !== null &&
+      !isEnding(raw) &&
+      !isEnded(raw)
+    )
+  }
+
+  _canDisconnect() {
+    return this._sent !== null && this._encrypt !== null && !this.destroying
+  }
+
+  _ondisconnect() {
+    if (this._disconnected) return
+    this._disconnect()
+    this.emit('disconnect')
+  }
+
+  _disconnect() {
+    this._disconnected = true
+    this._migrating = false
+
+    this._detachRawStream()
+
+    this.rawStream.on('error', noop)
+    this.rawStream.destroy()
+  }
+
+  _detachRawStream() {
+    this.rawStream.off('error', this._onrawerrorBound)
+    this.rawStream.off('close', this._onrawcloseBound)
+
+    this._rawStream.off('data', this._onrawdataBound)
+    this._rawStream.off('end', this._onrawendBound)
+    this._rawStream.off('drain', this._onrawdrainBound)
+    this._rawStream.off('message', this._onmessageBound)
   }
 
   _onrawdata(data) {
@@ -233,8 +729,29 @@ module.exports = class NoiseSecretStream extends Duplex {
           }
 
           if (this._tmp === 0x1000000) {
+            // check before anything is allocated, handshake and header frames are never large,
+            // but frames held back while authorizing are sent after the remote is done
+            const handshaking = this._setup && this._authorizing === null
+            const max = handshaking ? this.maxHandshakeFrameSize : this.maxFrameSize
+
+            if (this._len > max) {
+              this.destroy(
+                SecretStreamError.FRAME_TOO_LARGE(
+                  'Frame is too large (' + this._len + ' bytes). Max size is ' + max + ' bytes.'
+                )
+              )
+              return
+            }
+
             this._tmp = 0
             this._state = 1
+
+            if (this._len === 0) {
+              this._message = EMPTY
+              this._incoming()
+              break
+            }
+
             const unprocessed = data.byteLength - offset
             if (unprocessed < this._len && this._utp !== null)
               this._utp.setContentSize(this._len - unprocessed)
@@ -274,9 +791,22 @@ module.exports = class NoiseSecretStream extends Duplex {
         }
       }
     } while (offset < data.byteLength && !this.destroying)
+
+    if (this._ackPending || this._unacked >= MAX_UNACKED) this._sendAck()
   }
 
   _onrawend() {
+    // with migration a clean end always has a final message
+    if (this._canDisconnect() && !this._remoteFinal) {
+      this._ondisconnect()
+      return
+    }
+
+    if (this.finalTag && !this._remoteFinal) {
+      this.destroy(SecretStreamError.TRUNCATED())
+      return
+    }
+
     this._ended--
     this.push(null)
   }
@@ -301,12 +831,37 @@ module.exports = class NoiseSecretStream extends Duplex {
     this._tmp = 1
     this._message = null
 
+    if (this._authorizing !== null) {
+      if (this._authorizationError === null) this._authorizing.push(message)
+      return
+    }
+
+    this._onframe(message)
+  }
+
+  _onframe(message) {
+    if (this._migrating) {
+      this._onmigrate(message)
+      return
+    }
+
     if (this._setup === true) {
-      if (this._handshake) {
+      if (message.byteLength === 0) {
+        this.destroy(
+          SecretStreamError.AUTHORIZATION_DENIED('Authorization was denied by the remote')
+        )
+        return
+      }
+
+      if (this._resumeNonce !== null) {
+        this._onresumereply(message)
+      } else if (!this.isInitiator && this._handshake && isResumeHello(message)) {
+        this._onresumehello(message)
+      } else if (this._handshake) {
         this._onhandshakert(this._handshake.recv(message))
       } else {
         if (message.byteLength !== IDHEADERBYTES) {
-          this.destroy(new Error('Invalid header message received'))
+          this.destroy(SecretStreamError.INVALID_HEADER('Invalid header message received'))
           return
         }
 
@@ -315,62 +870,515 @@ module.exports = class NoiseSecretStream extends Duplex {
         const header = message.subarray(32)
 
         if (!b4a.equals(expectedId, remoteId)) {
-          this.destroy(new Error('Invalid header received'))
+          this.destroy(SecretStreamError.INVALID_HEADER())
           return
         }
 
         this._decrypt.init(header)
+        if (this._keyLog !== null) this._logKey('HEADER', !this.isInitiator, header)
         this._setup = false // setup is now done
+        if (this._sent !== null) this._received++
       }
       return
     }
 
     if (message.byteLength < ABYTES) {
-      this.destroy(new Error('Invalid message received'))
+      this.destroy(SecretStreamError.INVALID_MESSAGE())
+      return
+    }
+
+    if (this._remoteFinal) {
+      this.destroy(SecretStreamError.INVALID_MESSAGE('Message received after final message'))
       return
     }
 
     this.rawBytesRead += message.byteLength
+    this.stats.ciphertextBytesReceived += message.byteLength
 
-    const plain = message.subarray(1, message.byteLength - ABYTES + 1)
+    let plain = message.subarray(1, message.byteLength - ABYTES + 1)
+
+    let tag = 0
 
     try {
-      this._decrypt.next(message, plain)
+      tag = pullNext(this._decrypt, message, plain)
     } catch (err) {
-      this.destroy(err)
+      this.destroy(SecretStreamError.DECRYPT_FAILED(undefined, err))
+      return
+    }
+
+    if (this._paddedLength !== null && !this._decrypt.final) {
+      plain = unpad(plain)
+
+      if (plain === null) {
+        this.destroy(SecretStreamError.INVALID_MESSAGE('Invalid padding received'))
+        return
+      }
+    }
+
+    this.stats.framesReceived++
+    this.stats.plaintextBytesReceived += plain.byteLength
+
+    if (this._sent !== null) {
+      this._received++
+      this._unacked++
+
+      // acks are acked in batches only, otherwise the two sides would keep acking each other
+      if (tag !== TAG_PUSH_BYTE || plain.byteLength === 0 || plain[0] !== CONTROL_ACK) {
+        this._ackPending = true
+      }
+    }
+
+    if (tag === TAG_PUSH_BYTE) {
+      this._oncontrol(plain)
+      return
+    }
+
+    // the final message is always empty and only marks the authenticated end of the stream
+    if (this._decrypt.final) {
+      this._remoteFinal = true
+      return
+    }
+
+    // libsodium has already moved the pull state to the new key at this point
+    if (tag === TAG_REKEY_BYTE) this.emit('rekey', 'rx')
+
+    if (this._cover !== null) {
+      this._oncover(plain)
       return
     }
 
-    // If keep alive is selective, eat the empty buffers (ie assume the other side has it enabled also)
-    if (plain.byteLength === 0 && this.keepAlive !== 0) return
+    if (this.fragment && (this._fragments !== null || plain.byteLength === this._fragmentSize)) {
+      plain = this._onfragment(plain)
+      if (plain === null) return
+    } else if (tag === TAG_REKEY_BYTE && plain.byteLength === 0) {
+      return
+    }
+
+    this._onplain(plain)
+  }
+
+  _onplain(plain) {
+    if (this._mux !== null) {
+      // channel frames are never empty, so empty messages are always keep alives
+      if (plain.byteLength === 0) {
+        this.stats.keepAlivesReceived++
+        return
+      }
+      if (!this._mux.onframe(plain)) {
+        this.destroy(SecretStreamError.INVALID_MESSAGE('Invalid channel frame received'))
+      }
+      return
+    }
+
+    // Older peers send keep alives as empty messages, if keep alive is selective eat those
+    // (ie assume the other side has it enabled also)
+    if (plain.byteLength === 0 && this.keepAlive !== 0 && this.protocolVersion === 0) {
+      this.stats.keepAlivesReceived++
+      return
+    }
 
     if (this.push(plain) === false) {
+      this.stats.readPauses++
       this.rawStream.pause()
     }
   }
 
+  _sendControl(type, body) {
+    const wrapped = this._wrap(1 + body.byteLength)
+
+    wrapped[4] = type
+    wrapped.set(body, 5)
+
+    this._encryptFrame(wrapped, 1 + body.byteLength, TAG_PUSH)
+    return this._writeFrame(wrapped)
+  }
+
+  _oncontrol(plain) {
+    if (plain.byteLength === 0) {
+      this.destroy(SecretStreamError.INVALID_MESSAGE('Invalid control frame received'))
+      return
+    }
+
+    switch (plain[0]) {
+      case CONTROL_KEEPALIVE:
+        this.stats.keepAlivesReceived++
+        return
+      case CONTROL_ACK:
+        this._onack(plain.subarray(1))
+        return
+      case CONTROL_PING:
+        this._onping(plain.subarray(1))
+        return
+      case CONTROL_PONG:
+        this._onpong(plain.subarray(1))
+    }
+  }
+
+  _onping(body) {
+    if (body.byteLength !== 4) {
+      this.destroy(SecretStreamError.INVALID_MESSAGE('Invalid ping received'))
+      return
+    }
+
+    // nothing can be sent after the end of the stream, the remote gets an error on close,
+    // and with cover traffic a pong would be a frame outside of the cells
+    if (isFinished(this) || this._cover !== null) return
+
+    this._sendControl(CONTROL_PONG, body)
+  }
+
+  _onpong(body) {
+    const ping = body.byteLength === 4 ? this._pings.get(readUint32le(body, 0)) : undefined
+
+    if (ping === undefined) {
+      this.destroy(SecretStreamError.INVALID_MESSAGE('Invalid pong received'))
+      return
+    }
+
+    this._pings.delete(readUint32le(body, 0))
+
+    const rtt = Date.now() - ping.sent
+
+    // same smoothing as the TCP retransmission timer (RFC 6298)
+    if (this._rttSampled === false) {
+      this._rttSampled = true
+      this.stats.rtt = rtt
+      this.stats.jitter = rtt / 2
+    } else {
+      this.stats.jitter = 0.75 * this.stats.jitter + 0.25 * Math.abs(this.stats.rtt - rtt)
+      this.stats.rtt = 0.875 * this.stats.rtt + 0.125 * rtt
+    }
+
+    ping.resolve(rtt)
+  }
+
+  _sendAck() {
+    this._ackPending = false
+    if (this._disconnected || this._migrating || this._sentFinal || this.destroying) return
+
+    this._unacked = 0
+
+    const seq = b4a.allocUnsafe(8)
+    writeUint64le(this._received, seq, 0)
+
+    this._sendControl(CONTROL_ACK, seq)
+  }
+
+  _onack(body) {
+    if (this._sent === null) return // migration is not enabled here, so nothing to drop
+
+    if (body.byteLength !== 8 || !this._acked(readUint64le(body, 0))) {
+      this.destroy(SecretStreamError.INVALID_MESSAGE('Invalid ack received'))
+    }
+  }
+
+  // drops the frames the remote has, returns false if it claims to have more than we sent
+  _acked(seq) {
+    if (seq < this._sentSeq || seq > this._sentSeq + this._sent.length) return false
+
+    this._sent.splice(0, seq - this._sentSeq)
+    this._sentSeq = seq
+    return true
+  }
+
+  _onmigrate(message) {
+    this._migrating = false
+
+    const expected = b4a.allocUnsafe(32)
+
+    if (message.byteLength === 8 + 32) {
+      migrationMac(this._secret, !this.isInitiator, message.subarray(0, 8), expected)
+    }
+
+    if (
+      message.byteLength !== 8 + 32 ||
+      !sodium.sodium_memcmp(expected, message.subarray(8)) ||
+      !this._acked(readUint64le(message, 0))
+    ) {
+      this.destroy(SecretStreamError.INVALID_MESSAGE('Invalid migration message received'))
+      return
+    }
+
+    let flushed = true
+    for (const frame of this._sent) flushed = this._rawStream.write(frame)
+
+    this._unacked = 0
+    this._ackPending = false
+
+    if (this._endPending) {
+      this._endPending = false
+      this._rawStream.end()
+    }
+
+    this.emit('migrate')
+
+    if (flushed) this._onrawdrain()
+  }
+
+  _writeFrame(wrapped) {
+    if (this._sent !== null) this._sent.push(wrapped)
+    if (this._disconnected || this._migrating) return false
+    return this._rawStream.write(wrapped)
+  }
+
+  _oncover(cell) {
+    let offset = 0
+
+    while (cell.byteLength - offset >= SEGMENTHEADERBYTES && cell[offset] !== 0) {
+      const flags = cell[offset]
+      const len = cell[offset + 1] + cell[offset + 2] * 0x100 + cell[offset + 3] * 0x10000
+
+      offset += SEGMENTHEADERBYTES
+
+      if (flags > SEGMENT_END || len > cell.byteLength - offset) {
+        this.destroy(SecretStreamError.INVALID_MESSAGE('Invalid cover traffic received'))
+        return
+      }
+
+      const segment = cell.subarray(offset, offset + len)
+      offset += len
+
+      if (this._coverParts === null) {
+        if (flags === SEGMENT_END) {
+          this._onplain(segment)
+          if (this.destroying) return
+          continue
+        }
+
+        this._coverParts = []
+        this._coverPartsByteLength = 0
+      }
+
+      this._coverPartsByteLength += len
+
+      if (this._coverPartsByteLength > this.maxMessageSize) {
+        this.destroy(
+          SecretStreamError.MESSAGE_TOO_LARGE(
+            'Message is too large. Max size is ' + this.maxMessageSize + ' bytes.'
+          )
+        )
+        return
+      }
+
+      this._coverParts.push(segment)
+      if (flags === SEGMENT_PART) continue
+
+      const parts = this._coverParts
+      this._coverParts = null
+      this._coverPartsByteLength = 0
+
+      this._onplain(b4a.concat(parts))
+      if (this.destroying) return
+    }
+  }
+
+  _onfragment(fragment) {
+    if (this._fragments === null) {
+      this._fragments = []
+      this._fragmentsByteLength = 0
+    }
+
+    this._fragmentsByteLength += fragment.byteLength
+
+    if (this._fragmentsByteLength > this.maxMessageSize) {
+      this.destroy(
+        SecretStreamError.MESSAGE_TOO_LARGE(
+          'Message is too large. Max size is ' + this.maxMessageSize + ' bytes.'
+        )
+      )
+      return null
+    }
+
+    this._fragments.push(fragment)
+    if (fragment.byteLength === this._fragmentSize) return null
+
+    const fragments = this._fragments
+    this._fragments = null
+    this._fragmentsByteLength = 0
+
+    return b4a.concat(fragments)
+  }
+
   _onhandshakert(h) {
     if (this._handshakeDone === null) return
 
     if (h !== null) {
+      if (h.authorize) return this._authorizeRemote(h.remotePublicKey, h.payload)
       if (h.data) this._rawStream.write(h.data)
       if (!h.tx) return
     }
 
     const done = this._handshakeDone
-    const publicKey = this._handshake.keyPair.publicKey
+    const publicKey = this._handshake.publicKey
+    const pattern = this._handshake.pattern
+    const error = this._handshake.error
+
+    this.remoteHandshakePayload = this._handshake.remotePayload
+    this.remoteUnauthenticatedHandshakePayload = this._handshake.remoteUnauthenticatedPayload
+    this.protocolVersion = Math.min(PROTOCOL_VERSION, this._handshake.remoteVersion)
+
+    this._handshakeDone = null
+    this._handshake = null
+
+    if (h === null) return done(SecretStreamError.HANDSHAKE_FAILED(undefined, error))
+
+    this._setupSecretStream(h.tx, h.rx, h.hash, publicKey, h.remotePublicKey, pattern)
+
+    // the keys are slices of the handshake output, so the stream has its own copies of them now
+    sodium.sodium_memzero(h.tx)
+    sodium.sodium_memzero(h.rx)
+
+    this._resolveOpened(true)
+    done(null)
+  }
+
+  _sendResume() {
+    const ticket = this._resumption.ticket
+    const frame = b4a.allocUnsafe(3 + RESUME.byteLength + 32 + ticket.byteLength)
+
+    writeUint24le(frame.byteLength - 3, frame)
+    frame.set(RESUME, 3)
+
+    this._resumeNonce = frame.subarray(3 + RESUME.byteLength, 3 + RESUME.byteLength + 32)
+    sodium.randombytes_buf(this._resumeNonce)
+
+    frame.set(ticket, 3 + RESUME.byteLength + 32)
+    this._rawStream.write(frame)
+  }
+
+  _onresumereply(message) {
+    const nonce = this._resumeNonce
+    this._resumeNonce = null
+
+    // rejected, fallback to a full handshake
+    if (message.byteLength === 1) {
+      this._onhandshakert(this._handshake.send())
+      return
+    }
+
+    if (message.byteLength !== 32) {
+      this.destroy(SecretStreamError.HANDSHAKE_FAILED('Invalid resumption message received'))
+      return
+    }
+
+    const { secret, publicKey, remotePublicKey } = this._resumption
+    this._onresume(secret, nonce, message, publicKey, remotePublicKey)
+  }
+
+  _onresumehello(message) {
+    const nonce = message.subarray(RESUME.byteLength, RESUME.byteLength + 32)
+    const ticket = message.subarray(RESUME.byteLength + 32)
+
+    // the remote has to be authorized again, so that always takes a full handshake
+    const session =
+      this._tickets !== null && this._authorize === null ? this._tickets.redeem(ticket) : null
+
+    // also rejected when the ticket is for another key than the one we expect, the same as the
+    // full handshake that follows will fail
+    if (
+      session === null ||
+      (this.remotePublicKey !== null && !b4a.equals(this.remotePublicKey, session.remotePublicKey))
+    ) {
+      this._rawStream.write(RESUME_REJECTED)
+      return
+    }
+
+    const frame = b4a.allocUnsafe(3 + 32)
+    const remoteNonce = frame.subarray(3)
+
+    writeUint24le(32, frame)
+    sodium.randombytes_buf(remoteNonce)
+    this._rawStream.write(frame)
+
+    this._onresume(session.secret, nonce, remoteNonce, session.publicKey, session.remotePublicKey)
+  }
+
+  _onresume(secret, initiatorNonce, responderNonce, publicKey, remotePublicKey) {
+    if (this._handshakeDone === null) return
+
+    const hash = b4a.allocUnsafeSlow(64)
+    // not sliced, so these become the keys of the stream and are wiped with it
+    const initiatorKey = b4a.allocUnsafeSlow(32)
+    const responderKey = b4a.allocUnsafeSlow(32)
+    const prologue = this._handshakePrologue || EMPTY
+
+    sodium.crypto_generichash_batch(
+      hash,
+      [NS_RESUME, initiatorNonce, responderNonce, prologue],
+      secret
+    )
+    sodium.crypto_generichash_batch(initiatorKey, [NS_RESUME, NS_INITIATOR], hash)
+    sodium.crypto_generichash_batch(responderKey, [NS_RESUME, NS_RESPONDER], hash)
+
+    const done = this._handshakeDone
 
     this._handshakeDone = null
     this._handshake = null
+    this.resumed = true
+    this.protocolVersion = PROTOCOL_VERSION // tickets are only issued by peers that know about versions
 
-    if (h === null) return done(new Error('Noise handshake failed'))
+    if (this.isInitiator) {
+      this._setupSecretStream(initiatorKey, responderKey, hash, publicKey, remotePublicKey, null)
+    } else {
+      this._setupSecretStream(responderKey, initiatorKey, hash, publicKey, remotePublicKey, null)
+    }
 
-    this._setupSecretStream(h.tx, h.rx, h.hash, publicKey, h.remotePublicKey)
     this._resolveOpened(true)
     done(null)
   }
 
-  _setupSecretStream(tx, rx, handshakeHash, publicKey, remotePublicKey) {
+  _authorizeRemote(remotePublicKey, payload) {
+    const self = this
+
+    this.remoteHandshakePayload = this._handshake.remotePayload
+    this.remoteUnauthenticatedHandshakePayload = this._handshake.remoteUnauthenticatedPayload
+
+    // hold back incoming frames until the remote is authorized
+    this._authorizing = []
+    this._rawStream.pause()
+
+    let p = null
+
+    try {
+      p = Promise.resolve(this._authorize(remotePublicKey, payload))
+    } catch (err) {
+      p = Promise.reject(err)
+    }
+
+    p.then(onauthorize, ondeny)
+
+    function onauthorize(authorized) {
+      if (authorized === false) return ondeny(null)
+      if (self._handshakeDone === null) return // destroyed while authorizing
+
+      const pending = self._authorizing
+
+      self._authorizing = null
+      self._onhandshakert(self._handshake.next())
+
+      for (const message of pending) {
+        if (self.destroying) return
+        self._onframe(message)
+      }
+
+      self._rawStream.resume()
+    }
+
+    function ondeny(err) {
+      if (self._handshakeDone === null) return
+
+      self._authorizationError = SecretStreamError.AUTHORIZATION_DENIED(
+        'Remote public key was not authorized'
+      )
+      if (err) self._authorizationError.cause = err
+
+      // an empty frame tells the remote, then wait for it to close the raw stream
+      self._rawStream.end(DENIED)
+      self._rawStream.resume()
+    }
+  }
+
+  _setupSecretStream(tx, rx, handshakeHash, publicKey, remotePublicKey, pattern) {
     const buf = b4a.allocUnsafeSlow(3 + IDHEADERBYTES)
     writeUint24le(IDHEADERBYTES, buf)
 
@@ -381,19 +1389,39 @@ module.exports = class NoiseSecretStream extends Duplex {
     this.remotePublicKey = remotePublicKey
     this.handshakeHash = handshakeHash
 
+    // the handshake hash is public, so secrets are derived from the keys of both sides
+    const initiatorKey = (this.isInitiator ? tx : rx).subarray(0, KEYBYTES)
+    const responderKey = (this.isInitiator ? rx : tx).subarray(0, KEYBYTES)
+    this._secret = sessionSecret(initiatorKey, responderKey, handshakeHash)
+
+    if (this._keyLog !== null) {
+      this._logKey('KEY', this.isInitiator, tx.subarray(0, KEYBYTES))
+      this._logKey('KEY', !this.isInitiator, rx.subarray(0, KEYBYTES))
+      this._logKey('HEADER', this.isInitiator, buf.subarray(3 + 32))
+    }
+
     const id = buf.subarray(3, 3 + 32)
     streamId(handshakeHash, this.isInitiator, id)
 
     // initialize secretbox state for unordered messages
     this._setupSecretSend(handshakeHash)
 
-    this.emit('handshake')
+    this.emit('handshake', pattern)
     // if rawStream is a bridge, also emit it there
-    if (this.rawStream !== this._rawStream) this.rawStream.emit('handshake')
+    if (this.rawStream !== this._rawStream) this.rawStream.emit('handshake', pattern)
 
     if (this.destroying) return
 
-    this._rawStream.write(buf)
+    this._writeFrame(buf)
+
+    this._startIntervals()
+  }
+
+  // same for both sides, LABEL handshakeHash value, so the logs of the two sides can be merged
+  _logKey(label, initiator, value) {
+    const role = initiator ? 'INITIATOR_' : 'RESPONDER_'
+    const hash = b4a.toString(this.handshakeHash, 'hex')
+    this._keyLog(role + label + ' ' + hash + ' ' + b4a.toString(value, 'hex'))
   }
 
   _setupSecretSend(handshakeHash) {
@@ -418,6 +1446,8 @@ module.exports = class NoiseSecretStream extends Duplex {
 
     sodium.randombytes_buf(initial)
     counter.set(initial)
+
+    if (this.replayWindow > 0) this._replayWindow = new ReplayWindow(this.replayWindow)
   }
 
   _open(cb) {
@@ -427,11 +1457,11 @@ module.exports = class NoiseSecretStream extends Duplex {
       return
     }
 
-    this._rawStream.on('data', this._onrawdata.bind(this))
-    this._rawStream.on('end', this._onrawend.bind(this))
-    this._rawStream.on('drain', this._onrawdrain.bind(this))
+    this._rawStream.on('data', this._onrawdataBound)
+    this._rawStream.on('end', this._onrawendBound)
+    this._rawStream.on('drain', this._onrawdrainBound)
 
-    if (this.enableSend) this._rawStream.on('message', this._onmessage.bind(this))
+    if (this.enableSend) this._rawStream.on('message', this._onmessageBound)
 
     if (this._encrypt !== null) {
       this._resolveOpened(true)
@@ -440,7 +1470,10 @@ module.exports = class NoiseSecretStream extends Duplex {
 
     this._handshakeDone = cb
 
-    if (this.isInitiator) this._onhandshakert(this._handshake.send())
+    if (this.isInitiator) {
+      if (this._resumption !== null) this._sendResume()
+      else this._onhandshakert(this._handshake.send())
+    }
   }
 
   _predestroy() {
@@ -452,27 +1485,61 @@ module.exports = class NoiseSecretStream extends Duplex {
     if (this._startDone !== null) {
       const done = this._startDone
       this._startDone = null
-      done(new Error('Stream destroyed'))
+      done(SecretStreamError.STREAM_DESTROYED())
     }
 
     if (this._handshakeDone !== null) {
       const done = this._handshakeDone
       this._handshakeDone = null
-      done(new Error('Stream destroyed'))
+      done(SecretStreamError.STREAM_DESTROYED())
     }
 
     if (this._drainDone !== null) {
       const done = this._drainDone
       this._drainDone = null
-      done(new Error('Stream destroyed'))
+      done(SecretStreamError.STREAM_DESTROYED())
+    }
+
+    if (this._coverDone !== null) {
+      const done = this._coverDone
+      this._coverDone = null
+      done(SecretStreamError.STREAM_DESTROYED())
     }
+
+    if (this._coverFinal !== null) {
+      const done = this._coverFinal
+      this._coverFinal = null
+      done(SecretStreamError.STREAM_DESTROYED())
+    }
+
+    for (const ping of this._pings.values()) ping.reject(SecretStreamError.STREAM_DESTROYED())
+    this._pings.clear()
   }
 
   _write(data, cb) {
+    if (this._coverQueue !== null) {
+      this._queueCover(data, cb)
+      return
+    }
+
+    if (data === KEEPALIVE) {
+      this.stats.keepAlivesSent++
+
+      if (this.protocolVersion > 0) {
+        this._writeKeepAlive(cb)
+        return
+      }
+    }
+
+    if (this.fragment && data.byteLength >= this._fragmentSize) {
+      this._writeFragments(data, cb)
+      return
+    }
+
     let wrapped = this._outgoingWrapped
 
     if (data !== this._outgoingPlain) {
-      wrapped = b4a.allocUnsafe(data.byteLength + 3 + ABYTES)
+      wrapped = this._wrap(data.byteLength)
       wrapped.set(data, 4)
     } else {
       this._outgoingWrapped = this._outgoingPlain = null
@@ -480,30 +1547,222 @@ module.exports = class NoiseSecretStream extends Duplex {
 
     if (wrapped.byteLength - 3 > MAX_ATOMIC_WRITE) {
       return cb(
-        new Error(
+        SecretStreamError.MESSAGE_TOO_LARGE(
           'Message is too large for an atomic write. Max size is ' + MAX_ATOMIC_WRITE + ' bytes.'
         )
       )
     }
-    this.rawBytesWritten += wrapped.byteLength
 
-    writeUint24le(wrapped.byteLength - 3, wrapped)
-    // offset 4 so we can do it in-place
-    this._encrypt.next(wrapped.subarray(4, 4 + data.byteLength), wrapped.subarray(3))
+    // the carrier is known by identity, as other rekeys can happen while it is queued
+    const carrier = data === this._rekeyMessage
+    if (carrier) this._rekeyMessage = null
+
+    this._encryptFrame(wrapped, data.byteLength, carrier ? TAG_REKEY : TAG_MESSAGE)
+
+    if (this._keepAliveTimer !== null) this._keepAliveTimer.refresh()
+
+    if (this._writeFrame(wrapped) === false) {
+      this.stats.writePauses++
+      this._drainDone = cb
+    } else {
+      cb(null)
+    }
+  }
+
+  _writeKeepAlive(cb) {
+    const flushed = this._sendControl(CONTROL_KEEPALIVE, EMPTY)
 
     if (this._keepAliveTimer !== null) this._keepAliveTimer.refresh()
 
-    if (this._rawStream.write(wrapped) === false) {
+    if (flushed === false) {
+      this.stats.writePauses++
       this._drainDone = cb
     } else {
       cb(null)
     }
   }
 
+  _writeFragments(data, cb) {
+    if (data.byteLength > this.maxMessageSize) {
+      return cb(
+        SecretStreamError.MESSAGE_TOO_LARGE(
+          'Message is too large. Max size is ' + this.maxMessageSize + ' bytes.'
+        )
+      )
+    }
+
+    let flushed = true
+
+    // full fragments mean more is coming, so a message that is a multiple of the fragment size
+    // is terminated by an empty fragment
+    for (let i = 0; i <= data.byteLength; i += this._fragmentSize) {
+      const fragment = data.subarray(i, i + this._fragmentSize)
+      const wrapped = this._wrap(fragment.byteLength)
+      wrapped.set(fragment, 4)
+
+      this._encryptFrame(wrapped, fragment.byteLength, TAG_MESSAGE)
+      flushed = this._writeFrame(wrapped)
+    }
+
+    if (this._keepAliveTimer !== null) this._keepAliveTimer.refresh()
+
+    if (flushed === false) {
+      this.stats.writePauses++
+      this._drainDone = cb
+    } else {
+      cb(null)
+    }
+  }
+
+  _queueCover(data, cb) {
+    // cells are sent all the time anyway
+    if (data === KEEPALIVE) {
+      cb(null)
+      return
+    }
+
+    if (data === this._rekeyMessage) {
+      this._rekeyMessage = null
+      this._coverRekey = true // the next cell rekeys
+      cb(null)
+      return
+    }
+
+    this._coverQueue.push(data)
+    this._coverQueued += data.byteLength
+
+    // a few cells worth of data before applying backpressure
+    if (this._coverQueued < 16 * this._cover.size) cb(null)
+    else {
+      this.stats.writePauses++
+      this._coverDone = cb
+    }
+  }
+
+  _sendCover() {
+    if (this._disconnected || this._migrating || this.destroying) return
+
+    const size = this._cover.size
+    const wrapped = this._wrap(size)
+    const cell = wrapped.subarray(4, 4 + size)
+
+    let offset = 0
+
+    while (this._coverQueue.length > 0 && size - offset > SEGMENTHEADERBYTES) {
+      const data = this._coverQueue[0]
+      const remaining = data.byteLength - this._coverOffset
+      const len = Math.min(remaining, size - offset - SEGMENTHEADERBYTES)
+      const end = len === remaining
+
+      cell[offset] = end ? SEGMENT_END : SEGMENT_PART
+      writeUint24le(len, cell.subarray(offset + 1))
+      offset += SEGMENTHEADERBYTES
+
+      cell.set(data.subarray(this._coverOffset, this._coverOffset + len), offset)
+      offset += len
+
+      this._coverQueued -= len
+
+      if (end) {
+        this._coverQueue.shift()
+        this._coverOffset = 0
+      } else {
+        this._coverOffset += len
+      }
+    }
+
+    // the rest is dummy data, a zero flag ends the segments
+    cell.fill(0, offset)
+
+    const tag = this._coverRekey ? TAG_REKEY : TAG_MESSAGE
+    this._coverRekey = false
+
+    this._encryptFrame(wrapped, size, tag)
+    this._writeFrame(wrapped)
+
+    if (this._coverDone !== null && this._coverQueued < 16 * size) {
+      const done = this._coverDone
+      this._coverDone = null
+      done(null)
+    }
+
+    if (this._coverFinal !== null && this._coverQueue.length === 0) {
+      const done = this._coverFinal
+      this._coverFinal = null
+      this._final(done)
+    }
+  }
+
+  // room for the length, the padded message and the tag and mac, the message goes at offset 4
+  _wrap(byteLength) {
+    const padded = this._paddedLength === null ? byteLength : this._paddedLength(byteLength)
+    return b4a.allocUnsafe(padded + 3 + ABYTES)
+  }
+
+  _encryptFrame(wrapped, byteLength, tag) {
+    this.rawBytesWritten += wrapped.byteLength
+    this.stats.framesSent++
+    this.stats.plaintextBytesSent += byteLength
+    this.stats.ciphertextBytesSent += wrapped.byteLength
+
+    writeUint24le(wrapped.byteLength - 3, wrapped)
+    this._bytesSinceRekey += wrapped.byteLength
+
+    // acks keep their tag, the next message rekeys instead. Empty messages with the rekey tag
+    // are dropped by the remote as the rekey() carrier, so those keep their tag too
+    if (
+      tag === TAG_MESSAGE &&
+      byteLength > 0 &&
+      this.rekeyBytes > 0 &&
+      this._bytesSinceRekey >= this.rekeyBytes
+    ) {
+      tag = TAG_REKEY
+    }
+
+    const plain = wrapped.subarray(4, wrapped.byteLength - ABYTES + 1)
+
+    // iso/iec 7816-4 padding, a 0x80 byte and then zeros
+    if (this._paddedLength !== null) {
+      plain[byteLength] = 0x80
+      plain.fill(0, byteLength + 1)
+    }
+
+    // offset 4 so we can do it in-place
+    if (tag === TAG_MESSAGE) {
+      this._encrypt.next(plain, wrapped.subarray(3))
+      return
+    }
+
+    pushNext(this._encrypt, plain, wrapped.subarray(3), tag)
+    if (tag === TAG_REKEY) this._onrekey()
+  }
+
   _final(cb) {
+    // send everything queued for the cover traffic first
+    if (this._coverQueue !== null && this._coverQueue.length > 0) {
+      this._coverFinal = cb
+      return
+    }
+
     this._clearKeepAlive()
+    this._clearRekey()
+    this._clearCover()
     this._ended--
-    this._rawStream.end()
+
+    if (this.finalTag || this._sent !== null) {
+      const wrapped = b4a.allocUnsafe(3 + ABYTES)
+      writeUint24le(ABYTES, wrapped)
+      this._encrypt.final(EMPTY, wrapped.subarray(3))
+      this.rawBytesWritten += wrapped.byteLength
+      this.stats.framesSent++
+      this.stats.ciphertextBytesSent += wrapped.byteLength
+      this._sentFinal = true
+      this._writeFrame(wrapped)
+    }
+
+    if (this._disconnected || this._migrating) this._endPending = true
+    else this._rawStream.end()
+
     cb(null)
   }
 
@@ -513,6 +1772,7 @@ module.exports = class NoiseSecretStream extends Duplex {
     this._openedDone = null
     opened(val)
     if (!val) return
+    if (this._handshakeStart !== 0) this.stats.handshakeDuration = Date.now() - this._handshakeStart
     this.connected = true
     this.emit('connect')
   }
@@ -524,6 +1784,36 @@ module.exports = class NoiseSecretStream extends Duplex {
     this.timeout = 0
   }
 
+  _startIntervals() {
+    if (this.rekeyInterval > 0) {
+      this._rekeyTimer = Timeout.on(this.rekeyInterval, rekeyInterval, this)
+      this._rekeyTimer.unref()
+    }
+
+    if (this._cover !== null) {
+      this._coverTimer = Timeout.on(this._cover.interval, sendCover, this)
+      this._coverTimer.unref()
+    }
+  }
+
+  _onrekey() {
+    this._bytesSinceRekey = 0
+    if (this._rekeyTimer !== null) this._rekeyTimer.refresh()
+    this.emit('rekey', 'tx')
+  }
+
+  _clearRekey() {
+    if (this._rekeyTimer === null) return
+    this._rekeyTimer.destroy()
+    this._rekeyTimer = null
+  }
+
+  _clearCover() {
+    if (this._coverTimer === null) return
+    this._coverTimer.destroy()
+    this._coverTimer = null
+  }
+
   _clearKeepAlive() {
     if (this._keepAliveTimer === null) return
     this._keepAliveTimer.destroy()
@@ -533,11 +1823,52 @@ module.exports = class NoiseSecretStream extends Duplex {
 
   _destroy(cb) {
     this._clearKeepAlive()
+    this._clearRekey()
+    this._clearCover()
+    if (this._mux !== null) this._mux.destroy(getStreamError(this))
     this._clearTimeout()
     this._resolveOpened(false)
+    this._wipe()
     cb(null)
   }
 
+  // zero all secrets, so they do not stay around in memory until they are garbage collected.
+  // they are plain buffers of their own rather than secure memory, as every sodium_malloc maps
+  // its own guard pages, which adds up with many streams
+  _wipe() {
+    if (this._handshake !== null) this._handshake.destroy()
+
+    if (this._encrypt !== null) {
+      sodium.sodium_memzero(this._encrypt.key)
+      sodium.sodium_memzero(this._encrypt.state)
+    }
+
+    if (this._decrypt !== null) {
+      sodium.sodium_memzero(this._decrypt.key)
+      sodium.sodium_memzero(this._decrypt.state)
+    }
+
+    if (this._sendState !== null) {
+      sodium.sodium_memzero(this._sendState)
+      this._sendState = null
+    }
+
+    if (this._secret !== null) {
+      sodium.sodium_memzero(this._secret)
+      this._secret = null
+    }
+
+    if (this._generatedKeyPair !== null) {
+      sodium.sodium_memzero(this._generatedKeyPair.secretKey)
+      this._generatedKeyPair = null
+    }
+
+    if (this._resumption !== null) {
+      sodium.sodium_memzero(this._resumption.secret)
+      this._resumption = null
+    }
+  }
+
   _boxMessage(buffer) {
     const MB = sodium.crypto_secretbox_MACBYTES // 16
     const NB = sodium.crypto_secretbox_NONCEBYTES // 24
@@ -545,7 +1876,7 @@ module.exports = class NoiseSecretStream extends Duplex {
     const counter = this._sendState.subarray(64, 72)
     sodium.sodium_increment(counter)
     if (b4a.equals(counter, this._sendState.subarray(72))) {
-      this.destroy(new Error('udp send nonce exchausted'))
+      this.destroy(SecretStreamError.NONCE_EXHAUSTED())
       return
     }
 
@@ -566,6 +1897,9 @@ module.exports = class NoiseSecretStream extends Duplex {
     if (!this.rawStream?.send) return // udx-stream expected
 
     const message = this._boxMessage(buffer)
+    if (message === undefined) return
+
+    this.stats.unorderedSent++
     return this.rawStream.send(message)
   }
 
@@ -574,6 +1908,9 @@ module.exports = class NoiseSecretStream extends Duplex {
     if (!this.rawStream?.trySend) return // udx-stream expected
 
     const message = this._boxMessage(buffer)
+    if (message === undefined) return
+
+    this.stats.unorderedSent++
     this.rawStream.trySend(message)
   }
 
@@ -583,7 +1920,16 @@ module.exports = class NoiseSecretStream extends Duplex {
     const MB = sodium.crypto_secretbox_MACBYTES // 16
     const NB = sodium.crypto_secretbox_NONCEBYTES // 24
 
-    if (buffer.byteLength < NB) return // Invalid message
+    if (buffer.byteLength < NB) {
+      this.stats.unorderedDropped.short++
+      return // Invalid message
+    }
+
+    if (this._replayWindow !== null && !this._replayWindow.test(buffer)) {
+      this.droppedReplays++
+      this.stats.unorderedDropped.replay++
+      return
+    }
 
     const nonce = b4a.allocUnsafe(NB)
     b4a.fill(nonce, 0)
@@ -593,17 +1939,27 @@ module.exports = class NoiseSecretStream extends Duplex {
     const ciphertext = buffer.subarray(8)
     const plain = buffer.subarray(8, buffer.byteLength - MB)
 
-    if (ciphertext.byteLength < MB) return // invalid message
+    if (ciphertext.byteLength < MB) {
+      this.stats.unorderedDropped.short++
+      return // invalid message
+    }
 
     const success = sodium.crypto_secretbox_open_easy(plain, ciphertext, nonce, secret)
 
-    if (success) this.emit('message', plain)
+    if (!success) {
+      this.stats.unorderedDropped.mac++
+      return
+    }
+
+    if (this._replayWindow !== null) this._replayWindow.add(buffer)
+    this.stats.unorderedReceived++
+    this.emit('message', plain)
   }
 
   alloc(len) {
-    const buf = b4a.allocUnsafe(len + 3 + ABYTES)
+    const buf = this._wrap(len)
     this._outgoingWrapped = buf
-    this._outgoingPlain = buf.subarray(4, buf.byteLength - ABYTES + 1)
+    this._outgoingPlain = buf.subarray(4, 4 + len)
     return this._outgoingPlain
   }
 
@@ -615,6 +1971,7 @@ module.exports = class NoiseSecretStream extends Duplex {
       connected: this.connected,
       destroying: this.destroying,
       destroyed: this.destroyed,
+      stats: { ...this.stats, unorderedDropped: { ...this.stats.unorderedDropped } },
       rawStream: this.rawStream && this.rawStream.toJSON ? this.rawStream.toJSON() : null
     }
   }
@@ -626,20 +1983,141 @@ function writeUint24le(n, buf) {
   buf[2] = (n >>> 16) & 255
 }
 
-function streamId(handshakeHash, isInitiator, out = b4a.allocUnsafe(32)) {
-  sodium.crypto_generichash(out, isInitiator ? NS_INITIATOR : NS_RESPONDER, handshakeHash)
-  return out
+function writeUint32le(n, buf, offset) {
+  buf[offset] = n & 255
+  buf[offset + 1] = (n >>> 8) & 255
+  buf[offset + 2] = (n >>> 16) & 255
+  buf[offset + 3] = (n >>> 24) & 255
+}
+
+function attestation(handshakeHash, payload) {
+  return b4a.concat([NS_ATTEST, handshakeHash, toBuffer(payload)])
+}
+
+function sessionSecret(initiatorKey, responderKey, handshakeHash) {
+  const secret = b4a.allocUnsafeSlow(32)
+  sodium.crypto_generichash_batch(secret, [NS_SECRET, initiatorKey, responderKey], handshakeHash)
+  return secret
+}
+
+function resumptionSecret(sessionSecret) {
+  const secret = b4a.allocUnsafe(32)
+  sodium.crypto_generichash(secret, NS_TICKET, sessionSecret)
+  return secret
+}
+
+function canResume(resumption, remotePublicKey) {
+  if (!resumption || resumption.expiry <= Date.now()) return false
+  return remotePublicKey === null || b4a.equals(remotePublicKey, resumption.remotePublicKey)
+}
+
+function isResumeHello(message) {
+  return (
+    message.byteLength > RESUME.byteLength + 32 &&
+    b4a.equals(message.subarray(0, RESUME.byteLength), RESUME)
+  )
+}
+
+function migrationMac(sessionSecret, isInitiator, seq, out) {
+  const role = isInitiator ? NS_INITIATOR : NS_RESPONDER
+  sodium.crypto_generichash_batch(out, [NS_MIGRATE, role, seq], sessionSecret)
+}
+
+function writeUint64le(n, buf, offset) {
+  writeUint32le(n % 0x100000000, buf, offset)
+  writeUint32le(Math.floor(n / 0x100000000), buf, offset + 4)
 }
 
+function readUint64le(buf, offset) {
+  return readUint32le(buf, offset) + readUint32le(buf, offset + 4) * 0x100000000
+}
+
+function readUint32le(buf, offset) {
+  return (
+    buf[offset] + buf[offset + 1] * 0x100 + buf[offset + 2] * 0x10000 + buf[offset + 3] * 0x1000000
+  )
+}
+
+function coverOptions(cover, maxSize) {
+  if (cover === null) return null
+
+  const interval = cover.interval || 0
+  const size = cover.size || DEFAULT_COVER_SIZE
+
+  if (interval <= 0) throw SecretStreamError.BAD_ARGUMENT('Cover traffic needs an interval')
+  if (size <= SEGMENTHEADERBYTES || size > maxSize) {
+    throw SecretStreamError.BAD_ARGUMENT(
+      'Cover traffic size must be between ' + (SEGMENTHEADERBYTES + 1) + ' and ' + maxSize
+    )
+  }
+
+  return { interval, size }
+}
+
+function fragmentSize(size, padding) {
+  if (size < 2 || size > MAX_FRAGMENT) {
+    throw SecretStreamError.BAD_ARGUMENT('Fragment size must be between 2 and ' + MAX_FRAGMENT)
+  }
+
+  return padding === null ? size : size - 1
+}
+
+function paddingPolicy(padding) {
+  if (padding === null) return null
+
+  let policy = null
+
+  if (typeof padding === 'function') {
+    policy = padding
+  } else if (padding === 'pow2') {
+    policy = (len) => 2 ** Math.ceil(Math.log2(len + 1))
+  } else if (typeof padding === 'number' && padding > 0) {
+    policy = (len) => Math.ceil((len + 1) / padding) * padding
+  } else {
+    throw SecretStreamError.BAD_ARGUMENT('Padding must be a block size, pow2 or a function')
+  }
+
+  // always room for the padding byte, but never more than fits a frame
+  return (len) => Math.max(len + 1, Math.min(MAX_FRAGMENT, policy(len)))
+}
+
+function copy(buf) {
+  if (buf === null) return null
+  const c = b4a.allocUnsafe(buf.byteLength)
+  c.set(buf)
+  return c
+}
+
+function noop() {}
+
 function toBuffer(data) {
   return typeof data === 'string' ? b4a.from(data) : data
 }
 
+function pushNext(push, message, cipher, tag) {
+  sodium.crypto_secretstream_xchacha20poly1305_push(push.state, cipher, message, null, tag)
+  return cipher
+}
+
+// same as Pull.next but also returns the tag, so rekeys can be observed
+function pullNext(pull, cipher, message) {
+  sodium.crypto_secretstream_xchacha20poly1305_pull(pull.state, message, TAG, cipher, null)
+  pull.final = TAG[0] === TAG_FINAL_BYTE
+  return TAG[0]
+}
+
 function destroyTimeout() {
-  this.destroy(new Error('Stream timed out'))
+  this.destroy(SecretStreamError.TIMEOUT())
+}
+
+function rekeyInterval() {
+  this.rekey()
+}
+
+function sendCover() {
+  this._sendCover()
 }
 
 function sendKeepAlive() {
-  const empty = this.alloc(0)
-  this.write(empty)
+  this.sendKeepAlive()
 }
@@ -0,0 +1,295 @@
+const { Duplex } = require('streamx')
+const b4a = require('b4a')
+const SecretStreamError = require('./errors')
+
+// every channel frame is type (1 byte) + the sender's channel id (uint32le) + payload
+const OPEN = 0
+const DATA = 1
+const END = 2
+const CLOSE = 3
+const PAUSE = 4
+const RESUME = 5
+
+const HEADERBYTES = 5
+// larger writes are split, so they always fit a frame of the stream and do not hold up other channels
+const MAX_DATA = 64 * 1024 - HEADERBYTES
+
+class Channel extends Duplex {
+  constructor(mux, id, name) {
+    super({ mapWritable: toBuffer })
+
+    this.mux = mux
+    this.id = id
+    this.remoteId = -1
+    this.name = name
+
+    this._openDone = null
+    this._writeDone = null
+    this._paused = false // we asked the remote to pause
+    this._remotePaused = false // the remote asked us to pause
+    this._remoteEnded = false
+    this._remoteClosed = false
+    this._ended = false
+
+    // wiggle it to trigger open immediately
+    this.resume()
+    this.pause()
+  }
+
+  _onremoteopen(remoteId) {
+    this.remoteId = remoteId
+    if (this._openDone === null) return
+    const done = this._openDone
+    this._openDone = null
+    done(null)
+  }
+
+  _ondata(data) {
+    if (this.push(data) === false && !this._paused) {
+      this._paused = true
+      this.mux.send(PAUSE, this.id, null)
+    }
+  }
+
+  _onremoteend() {
+    this._remoteEnded = true
+    this.push(null)
+  }
+
+  _onremotepause() {
+    this._remotePaused = true
+  }
+
+  _onremoteresume() {
+    this._remotePaused = false
+    const done = this._writeDone
+    if (done === null) return
+    this._writeDone = null
+    done(null)
+  }
+
+  _onremoteclose() {
+    this._remoteClosed = true
+    // a graceful close is only sent once both sides ended, otherwise the remote gave up on the channel
+    if (this._remoteEnded && this._ended) return
+    this.destroy(SecretStreamError.CHANNEL_CLOSED())
+  }
+
+  _open(cb) {
+    if (this.remoteId !== -1) return cb(null)
+    this._openDone = cb
+  }
+
+  _read(cb) {
+    if (this._paused) {
+      this._paused = false
+      this.mux.send(RESUME, this.id, null)
+    }
+    cb(null)
+  }
+
+  _write(data, cb) {
+    let flushed = this.mux.send(DATA, this.id, data.subarray(0, MAX_DATA))
+
+    for (let i = MAX_DATA; i < data.byteLength; i += MAX_DATA) {
+      flushed = this.mux.send(DATA, this.id, data.subarray(i, i + MAX_DATA))
+    }
+
+    if (this._remotePaused) {
+      this._writeDone = cb
+    } else if (flushed === false) {
+      this.mux.ondrain(cb)
+    } else {
+      cb(null)
+    }
+  }
+
+  _final(cb) {
+    this._ended = true
+    this.mux.send(END, this.id, null)
+    cb(null)
+  }
+
+  _predestroy() {
+    if (this._openDone !== null) {
+      const done = this._openDone
+      this._openDone = null
+      done(SecretStreamError.STREAM_DESTROYED('Channel destroyed'))
+    }
+
+    if (this._writeDone !== null) {
+      const done = this._writeDone
+      this._writeDone = null
+      done(SecretStreamError.STREAM_DESTROYED('Channel destroyed'))
+    }
+  }
+
+  _destroy(cb) {
+    this.mux._onchannelclose(this)
+    cb(null)
+  }
+}
+
+module.exports = class Mux {
+  constructor(stream) {
+    this.stream = stream
+    this.destroyed = false
+
+    this._channels = new Map() // by local id
+    this._remoteChannels = new Map() // by remote id
+    this._names = new Map() // open local channels by name
+    this._pending = new Map() // remote ids of channels opened by the remote only, by name
+    this._drains = []
+    this._nextId = 1
+
+    this._ondrainBound = this._ondrain.bind(this)
+  }
+
+  get opened() {
+    return this._channels.size
+  }
+
+  open(name) {
+    if (this.destroyed) throw SecretStreamError.STREAM_DESTROYED()
+    if (this._names.has(name)) {
+      throw SecretStreamError.INVALID_OPERATION('Channel ' + name + ' is already open')
+    }
+
+    const id = this._nextId++
+    const channel = new Channel(this, id, name)
+
+    this._channels.set(id, channel)
+    this._names.set(name, channel)
+
+    this.send(OPEN, id, b4a.from(name))
+
+    const remoteId = this._pending.get(name)
+
+    if (remoteId !== undefined) {
+      this._pending.delete(name)
+      this._remoteChannels.set(remoteId, channel)
+      channel._onremoteopen(remoteId)
+    }
+
+    return channel
+  }
+
+  send(type, id, data) {
+    const frame = b4a.allocUnsafe(HEADERBYTES + (data === null ? 0 : data.byteLength))
+
+    frame[0] = type
+    writeUint32le(id, frame, 1)
+    if (data !== null) frame.set(data, HEADERBYTES)
+
+    return this.stream.write(frame)
+  }
+
+  ondrain(cb) {
+    if (this._drains.length === 0) this.stream.once('drain', this._ondrainBound)
+    this._drains.push(cb)
+  }
+
+  // returns false if the frame is invalid
+  onframe(frame) {
+    if (frame.byteLength < HEADERBYTES) return false
+
+    const type = frame[0]
+    const id = readUint32le(frame, 1)
+    const data = frame.subarray(HEADERBYTES)
+
+    if (type === OPEN) return this._onremoteopen(id, b4a.toString(data))
+
+    const channel = this._remoteChannels.get(id)
+
+    if (channel === undefined) {
+      if (type === CLOSE) this._onpendingclose(id)
+      return type <= RESUME // channel might be closed already
+    }
+
+    switch (type) {
+      case DATA:
+        channel._ondata(data)
+        return true
+      case END:
+        channel._onremoteend()
+        return true
+      case CLOSE:
+        this._remoteChannels.delete(id)
+        channel._onremoteclose()
+        return true
+      case PAUSE:
+        channel._onremotepause()
+        return true
+      case RESUME:
+        channel._onremoteresume()
+        return true
+    }
+
+    return false
+  }
+
+  destroy(err) {
+    if (this.destroyed) return
+    this.destroyed = true
+
+    for (const channel of this._channels.values()) channel.destroy(err)
+    this._ondrain()
+  }
+
+  _onremoteopen(remoteId, name) {
+    if (this._remoteChannels.has(remoteId)) return false
+
+    const channel = this._names.get(name)
+
+    if (channel === undefined || channel.remoteId !== -1) {
+      this._pending.set(name, remoteId)
+      this.stream.emit('channel', name)
+      return true
+    }
+
+    this._remoteChannels.set(remoteId, channel)
+    channel._onremoteopen(remoteId)
+    return true
+  }
+
+  _onpendingclose(remoteId) {
+    for (const [name, id] of this._pending) {
+      if (id === remoteId) this._pending.delete(name)
+    }
+  }
+
+  _onchannelclose(channel) {
+    this._channels.delete(channel.id)
+    if (this._names.get(channel.name) === channel) this._names.delete(channel.name)
+
+    if (channel.remoteId !== -1) {
+      if (channel._remoteClosed) return
+      this._remoteChannels.delete(channel.remoteId)
+    }
+
+    if (!this.destroyed) this.send(CLOSE, channel.id, null)
+  }
+
+  _ondrain() {
+    const drains = this._drains
+    this._drains = []
+    for (const cb of drains) cb(null)
+  }
+}
+
+function toBuffer(data) {
+  return typeof data === 'string' ? b4a.from(data) : data
+}
+
+function writeUint32le(n, buf, offset) {
+  buf[offset] = n & 255
+  buf[offset + 1] = (n >>> 8) & 255
+  buf[offset + 2] = (n >>> 16) & 255
+  buf[offset + 3] = (n >>> 24) & 255
+}
+
+function readUint32le(buf, offset) {
+  return (
+    buf[offset] + buf[offset + 1] * 0x100 + buf[offset + 2] * 0x10000 + buf[offset + 3] * 0x1000000
+  )
+}
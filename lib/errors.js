@@ -0,0 +1,84 @@
+// every error surfaced by a stream, code is stable so it can be matched on instead of the message
+
+module.exports = class SecretStreamError extends Error {
+  constructor(msg, code, fn = SecretStreamError, cause) {
+    super(msg, cause === undefined ? undefined : { cause })
+    this.code = code
+
+    if (Error.captureStackTrace) {
+      Error.captureStackTrace(this, fn)
+    }
+  }
+
+  get name() {
+    return 'SecretStreamError'
+  }
+
+  // invalid options or arguments
+  static BAD_ARGUMENT(msg) {
+    return new SecretStreamError(msg, 'BAD_ARGUMENT', SecretStreamError.BAD_ARGUMENT)
+  }
+
+  // the stream can not do this right now or with these options
+  static INVALID_OPERATION(msg) {
+    return new SecretStreamError(msg, 'INVALID_OPERATION', SecretStreamError.INVALID_OPERATION)
+  }
+
+  static HANDSHAKE_FAILED(msg = 'Noise handshake failed', cause) {
+    return new SecretStreamError(msg, 'HANDSHAKE_FAILED', SecretStreamError.HANDSHAKE_FAILED, cause)
+  }
+
+  static AUTHORIZATION_DENIED(msg = 'Authorization was denied') {
+    return new SecretStreamError(
+      msg,
+      'AUTHORIZATION_DENIED',
+      SecretStreamError.AUTHORIZATION_DENIED
+    )
+  }
+
+  static INVALID_HEADER(msg = 'Invalid header received') {
+    return new SecretStreamError(msg, 'INVALID_HEADER', SecretStreamError.INVALID_HEADER)
+  }
+
+  static DECRYPT_FAILED(msg = 'Message could not be decrypted', cause) {
+    return new SecretStreamError(msg, 'DECRYPT_FAILED', SecretStreamError.DECRYPT_FAILED, cause)
+  }
+
+  // decrypted fine, but the content does not follow the protocol
+  static INVALID_MESSAGE(msg = 'Invalid message received') {
+    return new SecretStreamError(msg, 'INVALID_MESSAGE', SecretStreamError.INVALID_MESSAGE)
+  }
+
+  static FRAME_TOO_LARGE(msg) {
+    return new SecretStreamError(msg, 'FRAME_TOO_LARGE', SecretStreamError.FRAME_TOO_LARGE)
+  }
+
+  static MESSAGE_TOO_LARGE(msg) {
+    return new SecretStreamError(msg, 'MESSAGE_TOO_LARGE', SecretStreamError.MESSAGE_TOO_LARGE)
+  }
+
+  static TRUNCATED(msg = 'Stream was truncated, final message was not received') {
+    return new SecretStreamError(msg, 'TRUNCATED', SecretStreamError.TRUNCATED)
+  }
+
+  static TIMEOUT(msg = 'Stream timed out') {
+    return new SecretStreamError(msg, 'TIMEOUT', SecretStreamError.TIMEOUT)
+  }
+
+  static NONCE_EXHAUSTED(msg = 'udp send nonce exhausted') {
+    return new SecretStreamError(msg, 'NONCE_EXHAUSTED', SecretStreamError.NONCE_EXHAUSTED)
+  }
+
+  static STREAM_DESTROYED(msg = 'Stream destroyed') {
+    return new SecretStreamError(msg, 'STREAM_DESTROYED', SecretStreamError.STREAM_DESTROYED)
+  }
+
+  static STREAM_ENDED(msg = 'Stream ended') {
+    return new SecretStreamError(msg, 'STREAM_ENDED', SecretStreamError.STREAM_ENDED)
+  }
+
+  // a channel was destroyed by the remote before both sides ended it
+  static CHANNEL_CLOSED(msg = 'Channel was closed by the remote') {
+    return new SecretStreamError(msg, 'CHANNEL_CLOSED', SecretStreamError.CHANNEL_CLOSED)
+  }
+}
@@ -0,0 +1,40 @@
+const { HEADERBYTES } = require('sodium-secretstream')
+const sodium = require('sodium-universal')
+const crypto = require('hypercore-crypto')
+const b4a = require('b4a')
+
+// what the stream and the transcript decoder both need to make sense of frames
+
+const NAMESPACE = crypto.namespace('hyperswarm/secret-stream', 9)
+const [NS_INITIATOR, NS_RESPONDER] = NAMESPACE
+const IDHEADERBYTES = HEADERBYTES + 32 // stream id + secretstream header
+// the tags are numbers in sodium-native but single bytes in sodium-javascript, compare pulled
+// tags with these and always push the constants of sodium
+const TAG_PUSH_BYTE = tagByte(sodium.crypto_secretstream_xchacha20poly1305_TAG_PUSH)
+const TAG_REKEY_BYTE = tagByte(sodium.crypto_secretstream_xchacha20poly1305_TAG_REKEY)
+const TAG_FINAL_BYTE = tagByte(sodium.crypto_secretstream_xchacha20poly1305_TAG_FINAL)
+
+module.exports = {
+  NAMESPACE,
+  IDHEADERBYTES,
+  TAG_PUSH_BYTE,
+  TAG_REKEY_BYTE,
+  TAG_FINAL_BYTE,
+  streamId,
+  unpad
+}
+
+function streamId(handshakeHash, isInitiator, out = b4a.allocUnsafe(32)) {
+  sodium.crypto_generichash(out, isInitiator ? NS_INITIATOR : NS_RESPONDER, handshakeHash)
+  return out
+}
+
+function unpad(plain) {
+  let i = plain.byteLength - 1
+  while (i >= 0 && plain[i] === 0) i--
+  return i >= 0 && plain[i] === 0x80 ? plain.subarray(0, i) : null
+}
+
+function tagByte(tag) {
+  return b4a.isBuffer(tag) ? tag[0] : tag
+}
@@ -1,17 +1,95 @@
 const red25519 = require('red25519')
 const curve = require('noise-curve-ed')
 const Noise = require('noise-handshake')
+const sodium = require('sodium-universal')
 const b4a = require('b4a')
+const SecretStreamError = require('./errors')
 
 const EMPTY = b4a.alloc(0)
 
+// the patterns supported by noise-handshake. static is whether static keys are used at all,
+// preshared whether the initiator needs the responder's public key upfront
+const PATTERNS = {
+  NN: { static: false, preshared: false, psk: false },
+  NNpsk0: { static: false, preshared: false, psk: true },
+  XX: { static: true, preshared: false, psk: false },
+  XXpsk0: { static: true, preshared: false, psk: true },
+  IK: { static: true, preshared: true, psk: false },
+  XK: { static: true, preshared: true, psk: false }
+}
+
 module.exports = class Handshake {
-  constructor(isInitiator, keyPair, remotePublicKey, pattern) {
+  constructor(isInitiator, keyPair, remotePublicKey, pattern, opts = {}) {
     this.isInitiator = isInitiator
     this.keyPair = keyPair
-    this.noise = new Noise(pattern, isInitiator, keyPair, { curve })
-    this.noise.initialise(EMPTY, remotePublicKey)
+    this.pattern = pattern
+    this.publicKey = PATTERNS[pattern].static ? keyPair.publicKey : null
+    this.remotePublicKey = remotePublicKey || null
+
+    // psk can be picked by the remote public key, when it is known upfront
+    const psk = typeof opts.psk === 'function' ? opts.psk(this.remotePublicKey) : opts.psk
+
+    this.noise = new Noise(pattern, isInitiator, keyPair, { curve, psk })
+    this.noise.initialise(opts.prologue || EMPTY, remotePublicKey)
     this.destroyed = false
+    this.error = null // why the handshake failed, if it did
+
+    // pause the handshake once the remote static key is received, until next() is called
+    this.authorize = !!opts.authorize
+
+    // early payloads are sent before the remote static key is known, so anyone could be reading them,
+    // and unauthenticated payloads are received before it is known, so anyone could have sent them
+    this.payload = opts.payload || null
+    this.earlyPayload = opts.earlyPayload || null
+    this.remotePayload = null
+    this.remoteUnauthenticatedPayload = null
+
+    // every message carries our protocol version in front of the payload, peers that do not know
+    // about versions never send payloads, so an empty one means version 0
+    this.version = opts.version || 0
+    this.remoteVersion = 0
+  }
+
+  static validate(isInitiator, pattern, { keyPair, remotePublicKey, psk } = {}) {
+    const p = PATTERNS[pattern]
+
+    if (!p) {
+      const supported = Object.keys(PATTERNS).join(', ')
+      throw SecretStreamError.BAD_ARGUMENT(
+        'Unsupported handshake pattern ' + pattern + ', use one of ' + supported
+      )
+    }
+
+    if (!p.static) {
+      if (keyPair) {
+        throw SecretStreamError.BAD_ARGUMENT('The ' + pattern + ' pattern does not use a keyPair')
+      }
+      if (remotePublicKey) {
+        throw SecretStreamError.BAD_ARGUMENT(
+          'The ' + pattern + ' pattern does not use a remotePublicKey'
+        )
+      }
+    }
+
+    if (p.preshared) {
+      if (isInitiator && !remotePublicKey) {
+        throw SecretStreamError.BAD_ARGUMENT(
+          'The ' + pattern + ' pattern requires a remotePublicKey for the initiator'
+        )
+      }
+      if (!isInitiator && remotePublicKey) {
+        throw SecretStreamError.BAD_ARGUMENT(
+          'The ' + pattern + ' pattern does not take a remotePublicKey for the responder'
+        )
+      }
+    }
+
+    if (p.psk && !psk) {
+      throw SecretStreamError.BAD_ARGUMENT('The ' + pattern + ' pattern requires a psk')
+    }
+    if (!p.psk && psk) {
+      throw SecretStreamError.BAD_ARGUMENT('The ' + pattern + ' pattern does not use a psk')
+    }
   }
 
   static keyPair(seed) {
@@ -22,44 +100,109 @@ module.exports = class Handshake {
     }
   }
 
-  recv(data) {
+  static sign(message, keyPair) {
+    return red25519.sign(message, keyPair.secretKey)
+  }
+
+  static verify(signature, message, publicKey) {
     try {
-      this.noise.recv(data)
-      if (this.noise.complete) return this._return(null)
-      return this.send()
+      return red25519.verify(signature, message, publicKey)
     } catch {
-      this.destroy()
+      return false
+    }
+  }
+
+  recv(data) {
+    try {
+      let payload = this.noise.recv(data)
+
+      // the remote public key can be given upfront in patterns that send it, to only accept that key
+      const rs = this.noise.rs
+      if (this.remotePublicKey !== null && rs !== null && !b4a.equals(rs, this.remotePublicKey)) {
+        throw SecretStreamError.AUTHORIZATION_DENIED('Unexpected remote public key')
+      }
+
+      if (this.version > 0 && payload.byteLength > 0) {
+        this.remoteVersion = payload[0]
+        payload = payload.subarray(1)
+      }
+
+      if (payload.byteLength > 0) {
+        if (this.noise.rs === null) this.remoteUnauthenticatedPayload = b4a.toBuffer(payload)
+        else this.remotePayload = b4a.toBuffer(payload)
+      }
+
+      if (this.authorize && this.noise.rs !== null) {
+        this.authorize = false
+        return this._authorize(payload)
+      }
+
+      return this.next()
+    } catch (err) {
+      this.destroy(err)
       return null
     }
   }
 
+  next() {
+    if (this.noise.complete) return this._return(null)
+    return this.send()
+  }
+
   // note that the data returned here is framed so we don't have to do an extra copy
   // when sending it...
   send() {
     try {
-      const data = this.noise.send()
+      const payload = this.noise.rs === null ? this.earlyPayload : this.payload
+      const data = this.noise.send(this._versioned(payload || EMPTY))
       const wrap = b4a.allocUnsafe(data.byteLength + 3)
 
       writeUint24le(data.byteLength, wrap)
       wrap.set(data, 3)
 
       return this._return(wrap)
-    } catch {
-      this.destroy()
+    } catch (err) {
+      this.destroy(err)
       return null
     }
   }
 
-  destroy() {
+  destroy(err = null) {
     if (this.destroyed) return
     this.destroyed = true
+    this.error = err
+
+    // noise only clears its state once the handshake is complete
+    if (!this.noise.complete) clearState(this.noise)
+  }
+
+  _versioned(payload) {
+    if (this.version === 0) return payload
+
+    const versioned = b4a.allocUnsafe(payload.byteLength + 1)
+    versioned[0] = this.version
+    versioned.set(payload, 1)
+    return versioned
+  }
+
+  _authorize(payload) {
+    return {
+      data: null,
+      remotePublicKey: b4a.toBuffer(this.noise.rs),
+      payload,
+      authorize: true,
+      hash: null,
+      tx: null,
+      rx: null
+    }
   }
 
   _return(data) {
     const tx = this.noise.complete ? b4a.toBuffer(this.noise.tx) : null
     const rx = this.noise.complete ? b4a.toBuffer(this.noise.rx) : null
     const hash = this.noise.complete ? b4a.toBuffer(this.noise.hash) : null
-    const remotePublicKey = this.noise.complete ? b4a.toBuffer(this.noise.rs) : null
+    const remotePublicKey =
+      this.noise.complete && this.noise.rs !== null ? b4a.toBuffer(this.noise.rs) : null
 
     return {
       data,
@@ -76,3 +219,9 @@ function writeUint24le(n, buf) {
   buf[1] = (n >>> 8) & 255
   buf[2] = (n >>> 16) & 255
 }
+
+function clearState(noise) {
+  for (const buf of [noise.key, noise.chainingKey, noise.digest, noise.e && noise.e.secretKey]) {
+    if (buf) sodium.sodium_memzero(buf)
+  }
+}
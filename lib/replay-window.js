@@ -0,0 +1,92 @@
+// sliding window anti-replay check for the unordered messages, similar to IPsec/DTLS (RFC 6479).
+// counters are the 8 byte little endian nonce prefix and compared modulo 2^64 as they start at
+// a random offset and might wrap
+
+const MASK = 0xffffffffffffffffn
+const HALF = 0x8000000000000000n
+
+class ReplayWindow {
+  constructor(size) {
+    this.size = size
+    this.top = -1n // highest counter seen, -1 means none yet
+
+    this._bits = Math.ceil(size / 32) * 32
+    this._bitmap = new Uint32Array(this._bits / 32)
+  }
+
+  // check if a counter is new, does not update the window
+  test(nonce) {
+    const counter = toCounter(nonce)
+
+    if (this.top === -1n) return true
+
+    const diff = (counter - this.top) & MASK
+    if (diff === 0n) return false
+    if (diff < HALF) return true
+
+    const age = (this.top - counter) & MASK
+    if (age >= BigInt(this.size)) return false
+
+    return !this._get(counter)
+  }
+
+  // mark a counter as seen, only call this once the message has been authenticated
+  add(nonce) {
+    const counter = toCounter(nonce)
+
+    if (this.top === -1n) {
+      this.top = counter
+      this._set(counter)
+      return
+    }
+
+    const diff = (counter - this.top) & MASK
+
+    if (diff !== 0n && diff < HALF) {
+      if (diff >= BigInt(this._bits)) {
+        this._bitmap.fill(0)
+      } else {
+        for (let i = 1n; i < diff; i++) this._clear(this.top + i)
+      }
+      this.top = counter
+    }
+
+    this._set(counter)
+  }
+
+  static from({ size, top, bitmap }) {
+    const w = new ReplayWindow(size)
+    w.top = top
+    w._bitmap.set(bitmap)
+    return w
+  }
+
+  export() {
+    return { size: this.size, top: this.top, bitmap: this._bitmap.slice() }
+  }
+
+  _index(counter) {
+    return Number((counter & MASK) % BigInt(this._bits))
+  }
+
+  _get(counter) {
+    const i = this._index(counter)
+    return (this._bitmap[i >>> 5] & (1 << (i & 31))) !== 0
+  }
+
+  _set(counter) {
+    const i = this._index(counter)
+    this._bitmap[i >>> 5] |= 1 << (i & 31)
+  }
+
+  _clear(counter) {
+    const i = this._index(counter)
+    this._bitmap[i >>> 5] &= ~(1 << (i & 31))
+  }
+}
+
+module.exports = ReplayWindow
+
+function toCounter(nonce) {
+  return new DataView(nonce.buffer, nonce.byteOffset, 8).getBigUint64(0, true)
+}
@@ -0,0 +1,130 @@
+const sodium = require('sodium-universal')
+const b4a = require('b4a')
+const SecretStreamError = require('./errors')
+
+// a ticket is expiry (uint64le, ms) + nonce + the encrypted session, the expiry is in the clear
+// so the initiator knows when to stop using it, but authenticated as additional data
+
+const NPUBBYTES = sodium.crypto_aead_xchacha20poly1305_ietf_NPUBBYTES
+const ABYTES = sodium.crypto_aead_xchacha20poly1305_ietf_ABYTES
+const IDBYTES = 16
+const SESSIONBYTES = IDBYTES + 32 + 32 + 32 // id + secret + public key + remote public key
+const TICKETBYTES = 8 + NPUBBYTES + SESSIONBYTES + ABYTES
+const DEFAULT_LIFETIME = 24 * 60 * 60 * 1000
+
+module.exports = class Tickets {
+  constructor({ key = null, lifetime = DEFAULT_LIFETIME } = {}) {
+    if (key !== null && key.byteLength !== sodium.crypto_aead_xchacha20poly1305_ietf_KEYBYTES) {
+      throw SecretStreamError.BAD_ARGUMENT(
+        'Ticket key must be ' + sodium.crypto_aead_xchacha20poly1305_ietf_KEYBYTES + ' bytes'
+      )
+    }
+
+    this.key = key || randomBytes(sodium.crypto_aead_xchacha20poly1305_ietf_KEYBYTES)
+    this.lifetime = lifetime
+
+    this._used = new Map() // ids of redeemed tickets until they expire
+  }
+
+  static expiry(ticket) {
+    if (ticket.byteLength !== TICKETBYTES) return 0
+    return readUint64le(ticket, 0)
+  }
+
+  issue(secret, publicKey, remotePublicKey) {
+    const ticket = b4a.allocUnsafe(TICKETBYTES)
+    const session = b4a.allocUnsafe(SESSIONBYTES)
+
+    sodium.randombytes_buf(session.subarray(0, IDBYTES))
+    session.set(secret, IDBYTES)
+    session.set(publicKey, IDBYTES + 32)
+    session.set(remotePublicKey, IDBYTES + 64)
+
+    writeUint64le(Date.now() + this.lifetime, ticket, 0)
+
+    const nonce = ticket.subarray(8, 8 + NPUBBYTES)
+    sodium.randombytes_buf(nonce)
+
+    sodium.crypto_aead_xchacha20poly1305_ietf_encrypt(
+      ticket.subarray(8 + NPUBBYTES),
+      session,
+      ticket.subarray(0, 8),
+      null,
+      nonce,
+      this.key
+    )
+
+    return ticket
+  }
+
+  // returns the session of the ticket, or null if it is invalid, expired or used already
+  redeem(ticket) {
+    if (ticket.byteLength !== TICKETBYTES) return null
+
+    const now = Date.now()
+    const expiry = readUint64le(ticket, 0)
+
+    this._prune(now)
+
+    if (expiry <= now) return null
+
+    const session = b4a.allocUnsafe(SESSIONBYTES)
+
+    try {
+      sodium.crypto_aead_xchacha20poly1305_ietf_decrypt(
+        session,
+        null,
+        ticket.subarray(8 + NPUBBYTES),
+        ticket.subarray(0, 8),
+        ticket.subarray(8, 8 + NPUBBYTES),
+        this.key
+      )
+    } catch {
+      return null
+    }
+
+    const id = b4a.toString(session.subarray(0, IDBYTES), 'hex')
+    if (this._used.has(id)) return null
+    this._used.set(id, expiry)
+
+    return {
+      secret: session.subarray(IDBYTES, IDBYTES + 32),
+      publicKey: session.subarray(IDBYTES + 32, IDBYTES + 64),
+      remotePublicKey: session.subarray(IDBYTES + 64)
+    }
+  }
+
+  _prune(now) {
+    for (const [id, expiry] of this._used) {
+      if (expiry <= now) this._used.delete(id)
+    }
+  }
+}
+
+function randomBytes(n) {
+  const buf = b4a.allocUnsafe(n)
+  sodium.randombytes_buf(buf)
+  return buf
+}
+
+function writeUint64le(n, buf, offset) {
+  const lo = n % 0x100000000
+  const hi = Math.floor(n / 0x100000000)
+
+  for (let i = 0; i < 4; i++) {
+    buf[offset + i] = (lo >>> (8 * i)) & 255
+    buf[offset + 4 + i] = (hi >>> (8 * i)) & 255
+  }
+}
+
+function readUint64le(buf, offset) {
+  let lo = 0
+  let hi = 0
+
+  for (let i = 3; i >= 0; i--) {
+    lo = lo * 256 + buf[offset + i]
+    hi = hi * 256 + buf[offset + 4 + i]
+  }
+
+  return hi * 0x100000000 + lo
+}
@@ -0,0 +1,137 @@
+const { Pull, ABYTES } = require('sodium-secretstream')
+const sodium = require('sodium-universal')
+const b4a = require('b4a')
+const {
+  IDHEADERBYTES,
+  TAG_PUSH_BYTE,
+  TAG_REKEY_BYTE,
+  TAG_FINAL_BYTE,
+  streamId,
+  unpad
+} = require('./frames')
+
+// decodes what one side wrote to a raw stream, using the lines of a keyLog to decrypt it.
+// frames are framed the same as the stream reads them, uint24le length + frame
+
+function parseKeyLog(keyLog) {
+  const lines = typeof keyLog === 'string' ? keyLog.split('\n') : keyLog
+  const sessions = new Map()
+
+  for (const line of lines) {
+    const [label, hash, value] = line.trim().split(' ')
+    if (!label || !hash || !value) continue
+
+    let session = sessions.get(hash)
+
+    if (session === undefined) {
+      session = { handshakeHash: b4a.from(hash, 'hex'), initiatorKey: null, responderKey: null }
+      sessions.set(hash, session)
+    }
+
+    if (label === 'INITIATOR_KEY') session.initiatorKey = b4a.from(value, 'hex')
+    else if (label === 'RESPONDER_KEY') session.responderKey = b4a.from(value, 'hex')
+  }
+
+  return [...sessions.values()]
+}
+
+function decode(data, keyLog = [], { padding = false } = {}) {
+  const sessions = parseKeyLog(keyLog)
+  const frames = []
+
+  let offset = 0
+  let session = null
+  let initiator = null
+  let pull = null
+  let header = false
+  let done = false // after the final message or a frame that failed, the state is off
+
+  while (data.byteLength - offset >= 3) {
+    const len = data[offset] | (data[offset + 1] << 8) | (data[offset + 2] << 16)
+    if (data.byteLength - offset - 3 < len) break
+
+    const frame = data.subarray(offset + 3, offset + 3 + len)
+    const decoded = { offset, type: null, frame, tag: null, plain: null }
+
+    frames.push(decoded)
+    offset += 3 + len
+
+    // everything before the id and header of the secretstream is part of the handshake
+    if (pull === null) {
+      const found = session === null && len === IDHEADERBYTES ? findSession(sessions, frame) : null
+
+      if (found === null) {
+        // without keys for it, the first frame of the size of the header is taken as the header
+        if (header) decoded.type = 'encrypted'
+        else decoded.type = len === IDHEADERBYTES ? 'header' : 'handshake'
+        header = decoded.type !== 'handshake'
+        continue
+      }
+
+      session = found.session
+      initiator = found.initiator
+      header = true
+
+      const key = initiator ? session.initiatorKey : session.responderKey
+
+      decoded.type = 'header'
+      if (key === null) continue
+
+      pull = new Pull(key)
+      pull.init(frame.subarray(32))
+      continue
+    }
+
+    if (done || len < ABYTES) {
+      decoded.type = 'invalid'
+      done = true
+      continue
+    }
+
+    const plain = b4a.allocUnsafe(len - ABYTES)
+    const tag = b4a.allocUnsafe(1)
+
+    try {
+      sodium.crypto_secretstream_xchacha20poly1305_pull(pull.state, plain, tag, frame, null)
+    } catch {
+      decoded.type = 'invalid'
+      done = true
+      continue
+    }
+
+    decoded.tag = tag[0]
+    decoded.plain = padding && tag[0] !== TAG_FINAL_BYTE ? unpad(plain) : plain
+
+    if (decoded.plain === null) decoded.type = 'invalid'
+    else if (tag[0] === TAG_FINAL_BYTE) decoded.type = 'final'
+    else if (tag[0] === TAG_PUSH_BYTE) decoded.type = 'control'
+    else if (tag[0] === TAG_REKEY_BYTE) decoded.type = 'rekey'
+    else decoded.type = 'message'
+
+    done = tag[0] === TAG_FINAL_BYTE
+  }
+
+  return {
+    handshakeHash: session === null ? null : session.handshakeHash,
+    initiator,
+    frames,
+    remaining: data.subarray(offset) // a partial frame at the end of the capture
+  }
+}
+
+module.exports = { decode, parseKeyLog }
+
+function findSession(sessions, frame) {
+  const id = frame.subarray(0, 32)
+
+  for (const session of sessions) {
+    if (b4a.equals(id, streamId(session.handshakeHash, true))) {
+      return { session, initiator: true }
+    }
+    if (b4a.equals(id, streamId(session.handshakeHash, false))) {
+      return { session, initiator: false }
+    }
+  }
+
+  return null
+}
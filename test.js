@@ -6,6 +6,7 @@ const { Readable, Duplex } = require('streamx')
 const NoiseStream = require('./')
 const UDX = require('udx-native')
 const sodium = require('sodium-native')
+const HypercoreCrypto = require('hypercore-crypto')
 
 test('basic', function (t) {
   t.plan(2)
@@ -261,6 +262,30 @@ test('handshake outside', async function (t) {
   t.alike(data, Buffer.from('test'))
 })
 
+test('handshake outside with a protocol version', async function (t) {
+  const hs = await createHandshake()
+
+  const a = new NoiseStream(true, null, {
+    handshake: { ...hs[0], version: NoiseStream.PROTOCOL_VERSION }
+  })
+
+  const b = new NoiseStream(false, null, {
+    handshake: { ...hs[1], version: NoiseStream.PROTOCOL_VERSION }
+  })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  t.is(a.protocolVersion, 1)
+  t.ok((await a.ping()) >= 0, 'pings are supported')
+
+  const c = new NoiseStream(true, null, { handshake: hs[0] })
+  t.is(c.protocolVersion, 0, 'no version means version 0')
+
+  a.destroy()
+  b.destroy()
+  c.destroy()
+})
+
 test('pass in head buffer', async function (t) {
   t.plan(3)
 
@@ -428,7 +453,7 @@ test('drains data after both streams end', function (t) {
 })
 
 test('can timeout', function (t) {
-  t.plan(1)
+  t.plan(2)
 
   const a = new NoiseStream(true)
   const b = new NoiseStream(false)
@@ -437,9 +462,10 @@ test('can timeout', function (t) {
 
   a.setTimeout(200)
   a.resume()
-  a.on('error', function () {
+  a.on('error', function (err) {
     clearTimeout(interval)
     t.ok(i >= 10)
+    t.is(err.code, 'TIMEOUT')
   })
 
   b.on('error', () => {})
@@ -469,8 +495,8 @@ test('keep alive', function (t) {
 
   a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
   b.rawStream.on('data', function (data) {
-    if (data.byteLength === 20) {
-      // empty message
+    if (data.byteLength === 21) {
+      // keep alive control frame
       clearInterval(interval)
       t.ok(i > 10, 'keep alive when idle')
       a.end()
@@ -512,8 +538,8 @@ test('set keep alive multiple times (no mem leak)', function (t) {
 
   a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
   b.rawStream.on('data', function (data) {
-    if (data.byteLength === 20) {
-      // empty message
+    if (data.byteLength === 21) {
+      // keep alive control frame
       clearInterval(interval)
       t.ok(i > 10, 'keep alive when idle')
       a.end()
@@ -546,8 +572,8 @@ test('setting keep alive before the stream starts works', function (t) {
 
   a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
   b.rawStream.on('data', function (data) {
-    if (data.byteLength === 20) {
-      // empty message
+    if (data.byteLength === 21) {
+      // keep alive control frame
       clearInterval(interval)
       t.ok(i > 10, 'keep alive when idle')
       a.end()
@@ -579,175 +605,2500 @@ test('message is too large', function (t) {
   a.write(Buffer.alloc(32 * 1024 * 1024))
 })
 
-function createHandshake() {
-  return new Promise((resolve, reject) => {
-    const a = new NoiseStream(true)
-    const b = new NoiseStream(false)
+test('final tag marks the end of the stream', function (t) {
+  t.plan(3)
 
-    let missing = 2
+  const a = new NoiseStream(true, null, { finalTag: true })
+  const b = new NoiseStream(false, null, { finalTag: true })
 
-    a.on('handshake', onhandshake)
-    b.on('handshake', onhandshake)
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
 
-    a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+  a.end(Buffer.from('hello world'))
+  b.end()
 
-    function onhandshake() {
-      if (--missing === 0) {
-        a.destroy()
-        b.destroy()
-        resolve([
-          {
-            publicKey: a.publicKey,
-            remotePublicKey: a.remotePublicKey,
-            hash: a.handshakeHash,
-            tx: a._encrypt.key,
-            rx: a._decrypt.key
-          },
-          {
-            publicKey: b.publicKey,
-            remotePublicKey: b.remotePublicKey,
-            hash: b.handshakeHash,
-            tx: b._encrypt.key,
-            rx: b._decrypt.key
-          }
-        ])
-      }
-    }
+  b.on('data', function (data) {
+    t.alike(data, Buffer.from('hello world'))
   })
-}
 
-test('basic - unslab checks', function (t) {
-  t.plan(10)
+  b.on('end', function () {
+    t.ok(b._remoteFinal, 'final message received')
+  })
+
+  b.on('close', function () {
+    t.pass('closed without error')
+  })
+})
+
+test('final tag detects truncation', function (t) {
+  t.plan(2)
+
+  const a = new NoiseStream(true, null, { finalTag: true })
+  const b = new NoiseStream(false, null, { finalTag: true })
+
+  a.on('error', () => {})
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  a.write(Buffer.from('hello world'))
+
+  b.once('data', function (data) {
+    t.alike(data, Buffer.from('hello world'))
+    // cut the raw stream without sending the final message
+    a._rawStream.end()
+  })
+
+  b.on('end', () => t.fail('should not end cleanly'))
+  b.on('error', function (err) {
+    t.is(err.message, 'Stream was truncated, final message was not received')
+  })
+})
+
+test('final tag detects truncation when the raw stream closes', function (t) {
+  t.plan(2)
+
+  const a = new NoiseStream(true, null, { finalTag: true })
+  const b = new NoiseStream(false, null, { finalTag: true })
+
+  a.on('error', () => {})
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  a.write(Buffer.from('hello world'))
+
+  b.once('data', function (data) {
+    t.alike(data, Buffer.from('hello world'))
+    // close the raw stream without ending it
+    b.rawStream.destroy()
+  })
+
+  b.on('error', function (err) {
+    t.is(err.code, 'TRUNCATED')
+  })
+})
+
+test('final message is swallowed when only the sender enables it', function (t) {
+  t.plan(2)
+
+  const a = new NoiseStream(true, null, { finalTag: true })
+  const b = new NoiseStream(false)
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  a.end(Buffer.from('hello world'))
+  b.end()
+
+  const recv = []
+
+  b.on('data', (data) => recv.push(data))
+  b.on('end', function () {
+    t.alike(recv, [Buffer.from('hello world')])
+    t.ok(b._remoteFinal)
+  })
+})
+
+test('manual rekey', function (t) {
+  t.plan(4)
 
   const a = new NoiseStream(true)
   const b = new NoiseStream(false)
 
   a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
 
-  a.on('open', function () {
-    const push = a._encrypt
-    const pull = a._decrypt
+  a.on('rekey', (direction) => t.is(direction, 'tx'))
+  b.on('rekey', (direction) => t.is(direction, 'rx'))
 
-    t.ok(push.key.buffer.byteLength < 100, 'push.key.buffer no slab')
-    t.ok(push.state.buffer.byteLength < 100, 'push.state.buffer no slab')
-    t.ok(push.header.buffer.byteLength < 100, 'push.header.buffer no slab')
+  a.write(Buffer.from('before'))
+  a.rekey()
+  a.write(Buffer.from('after'))
 
-    t.ok(pull.key.buffer.byteLength < 100, 'pull.key.buffer no slab')
-    t.ok(pull.state.buffer.byteLength < 100, 'pull.state.buffer no slab')
+  const expected = [Buffer.from('before'), Buffer.from('after')]
+
+  b.on('data', function (data) {
+    t.alike(data, expected.shift(), 'rekey message is not emitted')
   })
+})
 
-  b.on('open', function () {
-    const push = a._encrypt
-    const pull = a._decrypt
+test('rekey after bytes written', function (t) {
+  t.plan(3)
 
-    t.ok(push.key.buffer.byteLength < 100, 'push.key.buffer no slab')
-    t.ok(push.state.buffer.byteLength < 100, 'push.state.buffer no slab')
-    t.ok(push.header.buffer.byteLength < 100, 'push.header.buffer no slab')
+  const a = new NoiseStream(true, null, { rekeyBytes: 1024 })
+  const b = new NoiseStream(false)
 
-    t.ok(pull.key.buffer.byteLength < 100, 'pull.key.buffer no slab')
-    t.ok(pull.state.buffer.byteLength < 100, 'pull.state.buffer no slab')
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  let rekeys = 0
+  let recv = 0
+
+  b.on('rekey', () => rekeys++)
+
+  for (let i = 0; i < 10; i++) a.write(Buffer.alloc(512))
+  a.end()
+
+  b.on('data', function (data) {
+    recv += data.byteLength
+  })
+
+  b.on('end', function () {
+    t.is(recv, 10 * 512, 'no messages dropped')
+    t.ok(rekeys >= 4, 'rekeyed ' + rekeys + ' times')
+    t.ok(a._bytesSinceRekey < 1024)
   })
+
+  b.end()
 })
 
-function udxPair(getOpts = () => ({})) {
-  const u = new UDX()
-  const socket1 = u.createSocket()
-  const socket2 = u.createSocket()
-  for (const s of [socket1, socket2]) s.bind(0, '0.0.0.0')
+test('empty writes are not dropped when rekeying after bytes written', function (t) {
+  t.plan(2)
 
-  const stream1 = u.createStream(1)
-  const stream2 = u.createStream(2)
-  stream1.connect(socket1, stream2.id, socket2.address().port, '127.0.0.1')
-  stream2.connect(socket2, stream1.id, socket1.address().port, '127.0.0.1')
+  const a = new NoiseStream(true, null, { rekeyBytes: 1 })
+  const b = new NoiseStream(false)
 
-  return [
-    new NoiseStream(true, stream1, getOpts(0)),
-    new NoiseStream(false, stream2, getOpts(1)),
-    destroyPair
-  ]
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
 
-  async function destroyPair() {
-    for (const stream of [stream1, stream2]) {
-      stream.destroy()
-      await streamClosed(stream)
-    }
+  const recv = []
+  let rekeys = 0
 
-    await socket1.close()
-    await socket2.close()
-  }
+  a.write(Buffer.alloc(0))
+  a.write(Buffer.from('x'))
+  a.write(Buffer.alloc(0))
+  a.write(Buffer.from('y'))
+  a.end()
 
-  async function streamClosed(stream) {
-    if (stream.destroyed) return
-    return new Promise((resolve) => stream.once('close', resolve))
-  }
-}
+  b.on('rekey', () => rekeys++)
+  b.on('data', (data) => recv.push(data))
+  b.on('end', function () {
+    t.alike(recv, [Buffer.alloc(0), Buffer.from('x'), Buffer.alloc(0), Buffer.from('y')])
+    t.is(rekeys, 2, 'only the non empty messages rekeyed')
+  })
 
-test('encrypted unordered message', async function (t) {
-  const [a, b, destroy] = udxPair()
-  const message = Buffer.from('plaintext', 'utf8')
+  b.end()
+})
 
-  const transmission1 = new Promise((resolve) => b.once('message', resolve))
+test('manual rekey queued behind a rekey after bytes written', function (t) {
+  t.plan(2)
 
-  await a.opened
-  await b.opened
+  const a = new NoiseStream(true, null, { rekeyBytes: 100 })
+  const b = new NoiseStream(false)
 
-  await a.send(message)
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
 
-  const m0 = await transmission1
-  t.ok(m0.equals(message), 'send(): received & decrypted')
+  const recv = []
+  let rekeys = 0
 
-  const transmission2 = new Promise((resolve) => a.once('message', resolve))
+  a.write(Buffer.alloc(200))
+  a.rekey()
+  a.write(Buffer.from('x'))
+  a.end()
 
-  b.trySend(message)
+  b.on('rekey', () => rekeys++)
+  b.on('data', (data) => recv.push(data.byteLength))
+  b.on('end', function () {
+    t.alike(recv, [200, 1], 'no empty message from the rekey')
+    t.is(rekeys, 2, 'after the bytes and for the manual rekey')
+  })
 
-  const m1 = await transmission2
-  t.ok(m1.equals(message), 'trySend(): received & decrypted')
+  b.end()
+})
 
-  await destroy()
+test('rekey interval', function (t) {
+  t.plan(2)
+
+  const a = new NoiseStream(true, null, { rekeyInterval: 100 })
+  const b = new NoiseStream(false)
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  // the rekey timer is unref'ed
+  const timeout = setTimeout(() => t.fail('did not rekey'), 5000)
+
+  b.once('rekey', function (direction) {
+    clearTimeout(timeout)
+    t.is(direction, 'rx')
+    a.write(Buffer.from('hello'))
+    b.once('data', function (data) {
+      t.alike(data, Buffer.from('hello'))
+      a.destroy()
+      b.destroy()
+    })
+  })
 })
 
-test('too short messages are ignored', async function (t) {
-  const [a, b, destroy] = udxPair()
-  const message = Buffer.from('plaintext', 'utf8')
+test('large messages are fragmented', function (t) {
+  t.plan(2)
 
-  const transmission1 = new Promise((resolve) => b.once('message', resolve))
+  const a = new NoiseStream(true, null, { fragment: true })
+  const b = new NoiseStream(false, null, { fragment: true })
 
-  await a.opened
-  await b.opened
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
 
-  await a.send(message)
+  const message = crypto.randomBytes(20 * 1024 * 1024)
 
-  const m0 = await transmission1
-  t.ok(m0.equals(message), 'send(): received & decrypted', 'sanity check')
+  a.write(message)
+  a.write(Buffer.from('hello'))
 
-  b.once('message', () => t.fail('invalid messages should not bubble up'))
+  b.once('data', function (data) {
+    t.ok(data.equals(message), 'received as a single message')
+    b.once('data', function (data) {
+      t.alike(data, Buffer.from('hello'))
+    })
+  })
+})
 
-  // invalid nonce
-  a.rawStream.send(Buffer.from('a'.repeat(sodium.crypto_secretbox_NONCEBYTES - 1)))
+test('fragmented message that is a multiple of the fragment size', function (t) {
+  t.plan(2)
 
-  // invalid cipher text
-  a.rawStream.send(Buffer.from('a'.repeat(sodium.crypto_secretbox_NONCEBYTES + 1)))
+  const a = new NoiseStream(true, null, { fragment: true })
+  const b = new NoiseStream(false, null, { fragment: true })
 
-  // In case errors take a tick to trigger
-  await new Promise((resolve) => setImmediate(resolve))
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
 
-  await destroy()
+  const message = Buffer.alloc(3 * 64 * 1024, 'a')
+
+  a.write(message)
+  a.write(Buffer.from('hello'))
+
+  b.once('data', function (data) {
+    t.is(data.byteLength, message.byteLength)
+    b.once('data', function (data) {
+      t.alike(data, Buffer.from('hello'))
+    })
+  })
 })
 
-test('enableSend opt', async function (t) {
-  t.plan(1)
+test('fragments fit a lowered max frame size', function (t) {
+  t.plan(3)
 
-  const [a, b, destroy] = udxPair((n) => ({ enableSend: n !== 0 }))
+  const a = new NoiseStream(true, null, { fragment: true, fragmentSize: 1024 })
+  const b = new NoiseStream(false, null, {
+    fragment: true,
+    fragmentSize: 1024,
+    maxFrameSize: 1024 + 17
+  })
 
-  a.once('message', () => t.fail('should not have registered message handler'))
-  b.once('message', async () => {
-    await destroy()
-    t.pass('by default the message handler is set')
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  const message = crypto.randomBytes(1024 * 1024 + 10)
+
+  a.write(message)
+  a.write(Buffer.from('hello'))
+
+  b.once('data', function (data) {
+    t.ok(data.equals(message), 'received as a single message')
+    b.once('data', function (data) {
+      t.alike(data, Buffer.from('hello'))
+    })
   })
 
-  await a.opened
-  await b.opened
+  t.exception(
+    () => new NoiseStream(true, null, { fragment: true, fragmentSize: 16 * 1024 * 1024 }),
+    /Fragment size must be between/
+  )
+})
 
-  await b.send(Buffer.from('b-message which does not bubble up at a'))
+test('fragmented message larger than the max message size', function (t) {
+  t.plan(2)
+
+  const a = new NoiseStream(true, null, { fragment: true })
+  const b = new NoiseStream(false, null, { fragment: true, maxMessageSize: 20 * 1024 * 1024 })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  a.on('error', () => {})
+
+  a.write(Buffer.alloc(32 * 1024 * 1024))
+
+  b.on('data', () => t.fail('should not emit data'))
+  b.on('error', function (err) {
+    t.is(err.message, 'Message is too large. Max size is ' + 20 * 1024 * 1024 + ' bytes.')
+  })
+
+  const c = new NoiseStream(true, null, { fragment: true, maxMessageSize: 1024 })
+  const d = new NoiseStream(false, null, { fragment: true })
+
+  c.rawStream.pipe(d.rawStream).pipe(c.rawStream)
+
+  d.on('error', () => {})
+  c.on('error', () => t.pass('local write too large errors'))
+  c.write(Buffer.alloc(32 * 1024 * 1024))
+})
+
+test('frame larger than the max handshake frame size', function (t) {
+  t.plan(2)
+
+  const a = new NoiseStream(true)
+
+  a.on('error', function (err) {
+    t.is(err.code, 'FRAME_TOO_LARGE')
+    t.is(a._message, null, 'nothing allocated')
+  })
+
+  a.rawStream.write(Buffer.from([0xff, 0xff, 0xff]))
+})
+
+test('frame larger than the max frame size', function (t) {
+  t.plan(2)
+
+  const a = new NoiseStream(true)
+  const b = new NoiseStream(false, null, { maxFrameSize: 1024 })
+
+  a.on('error', () => {})
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  a.write(Buffer.alloc(512))
+
+  b.once('data', function (data) {
+    t.is(data.byteLength, 512)
+    a.write(Buffer.alloc(2048))
+  })
+
+  b.on('error', function (err) {
+    t.is(err.code, 'FRAME_TOO_LARGE')
+  })
+})
+
+test('authorize remote public key', function (t) {
+  t.plan(4)
+
+  const a = new NoiseStream(true, null, {
+    authorize: async (remotePublicKey) => {
+      t.alike(remotePublicKey, b.publicKey, 'initiator authorizes responder')
+      return true
+    }
+  })
+
+  const b = new NoiseStream(false, null, {
+    authorize: (remotePublicKey) => {
+      t.alike(remotePublicKey, a.publicKey, 'responder authorizes initiator')
+      return new Promise((resolve) => setTimeout(resolve, 100, true))
+    }
+  })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  // written before the responder is done authorizing
+  a.write(Buffer.from('hello'))
+
+  b.on('data', function (data) {
+    t.alike(data, Buffer.from('hello'))
+  })
+
+  a.on('connect', function () {
+    b.on('connect', function () {
+      t.pass('connected')
+    })
+  })
+})
+
+test('large writes are not limited to the handshake frame size while authorizing', function (t) {
+  t.plan(2)
+
+  const server = net.createServer(function (socket) {
+    const s = new NoiseStream(false, socket, {
+      authorize: () => new Promise((resolve) => setTimeout(resolve, 20, true))
+    })
+
+    s.on('data', function (data) {
+      t.is(data.byteLength, 100 * 1024)
+      s.destroy()
+    })
+  })
+
+  server.listen(0, function () {
+    const socket = net.connect(server.address().port)
+    const s = new NoiseStream(true, socket)
+
+    // sent in the same chunk as the last handshake message
+    s.on('connect', () => s.write(Buffer.alloc(100 * 1024)))
+    s.on('error', () => {})
+    s.on('close', function () {
+      server.close()
+    })
+  })
+
+  server.on('close', function () {
+    t.pass()
+  })
+})
+
+test('responder denies authorization', function (t) {
+  t.plan(5)
+
+  const a = new NoiseStream(true)
+  const b = new NoiseStream(false, null, {
+    authorize: async () => false
+  })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  a.write(Buffer.from('hello'))
+
+  b.on('data', () => t.fail('should not receive data'))
+
+  a.on('error', function (err) {
+    t.is(err.code, 'AUTHORIZATION_DENIED')
+    t.is(err.message, 'Authorization was denied by the remote')
+  })
+
+  b.on('error', function (err) {
+    t.is(err.code, 'AUTHORIZATION_DENIED')
+    t.is(err.message, 'Remote public key was not authorized')
+    t.is(b.handshakeHash, null, 'secret stream was not set up')
+  })
+})
+
+test('initiator denies authorization', function (t) {
+  t.plan(4)
+
+  const err = new Error('unknown peer')
+
+  const a = new NoiseStream(true, null, {
+    authorize: () => {
+      throw err
+    }
+  })
+  const b = new NoiseStream(false)
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  a.on('connect', () => t.fail('should not connect'))
+  b.on('connect', () => t.fail('should not connect'))
+
+  a.on('error', function (e) {
+    t.is(e.code, 'AUTHORIZATION_DENIED')
+    t.is(e.cause, err)
+  })
+
+  b.on('error', function (e) {
+    t.is(e.code, 'AUTHORIZATION_DENIED')
+    t.is(b.handshakeHash, null)
+  })
+})
+
+test('same prologue', function (t) {
+  t.plan(2)
+
+  const prologue = Buffer.from('my-protocol/1.0.0')
+
+  const a = new NoiseStream(true, null, { prologue })
+  const b = new NoiseStream(false, null, { prologue })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  a.on('connect', () => t.pass('initiator connected'))
+  b.on('connect', () => t.pass('responder connected'))
+})
+
+test('different prologues fail the handshake', function (t) {
+  t.plan(2)
+
+  const a = new NoiseStream(true, null, { prologue: Buffer.from('my-protocol/1.0.0') })
+  const b = new NoiseStream(false, null, { prologue: Buffer.from('my-protocol/2.0.0') })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  a.on('connect', () => t.fail('should not connect'))
+  b.on('connect', () => t.fail('should not connect'))
+
+  a.on('error', (err) => t.is(err.message, 'Noise handshake failed'))
+  b.on('error', () => t.pass('responder errored'))
+})
+
+test('handshake payloads', function (t) {
+  t.plan(6)
+
+  const a = new NoiseStream(true, null, {
+    handshakePayload: Buffer.from('initiator'),
+    earlyHandshakePayload: Buffer.from('initiator early')
+  })
+
+  const b = new NoiseStream(false, null, {
+    handshakePayload: Buffer.from('responder'),
+    earlyHandshakePayload: Buffer.from('responder early'),
+    authorize(remotePublicKey, payload) {
+      t.alike(payload, Buffer.from('initiator'), 'payload passed to authorize')
+      return true
+    }
+  })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  a.on('connect', function () {
+    t.alike(a.remoteHandshakePayload, Buffer.from('responder early'), 'responder is authenticated')
+    t.alike(a.remoteUnauthenticatedHandshakePayload, null)
+  })
+
+  b.on('connect', function () {
+    t.alike(b.remoteHandshakePayload, Buffer.from('initiator'))
+    t.alike(b.remoteUnauthenticatedHandshakePayload, Buffer.from('initiator early'))
+  })
+
+  const buf = []
+  a.rawStream.on('data', (data) => buf.push(data))
+  b.on('connect', function () {
+    t.ok(
+      Buffer.concat(buf).indexOf(Buffer.from('initiator early')) > -1,
+      'early payload is sent in the clear'
+    )
+  })
+})
+
+test('psk pattern', function (t) {
+  t.plan(3)
+
+  const psk = crypto.randomBytes(32)
+
+  const a = new NoiseStream(true, null, { pattern: 'XXpsk0', psk })
+  const b = new NoiseStream(false, null, { pattern: 'XXpsk0', psk })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  a.write(Buffer.from('hello'))
+
+  a.on('connect', () => t.alike(a.remotePublicKey, b.publicKey))
+  b.on('connect', () => t.alike(b.remotePublicKey, a.publicKey))
+
+  b.on('data', function (data) {
+    t.alike(data, Buffer.from('hello'))
+  })
+})
+
+test('psk picked by remote public key', function (t) {
+  t.plan(3)
+
+  const psk = crypto.randomBytes(32)
+  const keyPair = NoiseStream.keyPair()
+
+  const a = new NoiseStream(true, null, {
+    pattern: 'XXpsk0',
+    remotePublicKey: keyPair.publicKey,
+    psk(remotePublicKey) {
+      t.alike(remotePublicKey, keyPair.publicKey)
+      return psk
+    }
+  })
+
+  const b = new NoiseStream(false, null, {
+    pattern: 'XXpsk0',
+    keyPair,
+    psk(remotePublicKey) {
+      t.is(remotePublicKey, null, 'responder does not know the remote upfront')
+      return psk
+    }
+  })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  a.on('connect', () => t.pass('connected'))
+})
+
+test('mismatched psk fails the handshake', function (t) {
+  t.plan(2)
+
+  const a = new NoiseStream(true, null, { pattern: 'XXpsk0', psk: crypto.randomBytes(32) })
+  const b = new NoiseStream(false, null, { pattern: 'XXpsk0', psk: crypto.randomBytes(32) })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  a.on('connect', () => t.fail('should not connect'))
+  b.on('connect', () => t.fail('should not connect'))
+
+  a.on('error', () => t.pass('initiator errored'))
+  b.on('error', (err) => t.is(err.message, 'Noise handshake failed'))
+})
+
+test('IK pattern', function (t) {
+  t.plan(6)
+
+  const responderKeyPair = NoiseStream.keyPair()
+
+  const a = new NoiseStream(true, null, {
+    pattern: 'IK',
+    remotePublicKey: responderKeyPair.publicKey
+  })
+
+  const b = new NoiseStream(false, null, {
+    pattern: 'IK',
+    keyPair: responderKeyPair
+  })
+
+  const frames = []
+  a.rawStream.on('data', (data) => frames.push(data))
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  a.on('handshake', (pattern) => t.is(pattern, 'IK'))
+  b.on('handshake', function (pattern) {
+    t.is(pattern, 'IK')
+    t.alike(b.remotePublicKey, a.publicKey, 'responder learns the remote public key')
+    t.is(frames.length, 1, 'single round trip')
+  })
+
+  a.write(Buffer.from('hello'))
+
+  b.on('data', function (data) {
+    t.alike(data, Buffer.from('hello'))
+    t.alike(a.remotePublicKey, responderKeyPair.publicKey)
+  })
+})
+
+test('NN pattern', function (t) {
+  t.plan(4)
+
+  const a = new NoiseStream(true, null, { pattern: 'NN' })
+  const b = new NoiseStream(false, null, { pattern: 'NN' })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  a.write(Buffer.from('hello'))
+
+  b.on('data', function (data) {
+    t.alike(data, Buffer.from('hello'))
+    t.is(b.publicKey, null)
+    t.is(b.remotePublicKey, null)
+    t.alike(a.handshakeHash, b.handshakeHash)
+  })
+})
+
+test('NNpsk0 pattern', function (t) {
+  t.plan(1)
+
+  const psk = crypto.randomBytes(32)
+
+  const a = new NoiseStream(true, null, { pattern: 'NNpsk0', psk })
+  const b = new NoiseStream(false, null, { pattern: 'NNpsk0', psk })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  a.write(Buffer.from('hello'))
+
+  b.on('data', function (data) {
+    t.alike(data, Buffer.from('hello'))
+  })
+})
+
+test('pattern options are validated', function (t) {
+  const remotePublicKey = NoiseStream.keyPair().publicKey
+
+  t.exception(
+    () => new NoiseStream(true, null, { pattern: 'IK' }),
+    /The IK pattern requires a remotePublicKey for the initiator/
+  )
+  t.exception(
+    () => new NoiseStream(false, null, { pattern: 'IK', remotePublicKey }),
+    /The IK pattern does not take a remotePublicKey for the responder/
+  )
+  t.exception(
+    () => new NoiseStream(true, null, { pattern: 'NN', remotePublicKey }),
+    /The NN pattern does not use a remotePublicKey/
+  )
+  t.exception(
+    () => new NoiseStream(true, null, { pattern: 'NN', keyPair: NoiseStream.keyPair() }),
+    /The NN pattern does not use a keyPair/
+  )
+  t.exception(() => new NoiseStream(true, null, { pattern: 'XXpsk0' }), /requires a psk/)
+  t.exception(
+    () => new NoiseStream(true, null, { pattern: 'XX', psk: crypto.randomBytes(32) }),
+    /does not use a psk/
+  )
+  t.exception(() => new NoiseStream(true, null, { pattern: 'KK' }), /Unsupported handshake pattern/)
+})
+
+test('XX with an unexpected remote public key fails', function (t) {
+  t.plan(2)
+
+  const a = new NoiseStream(true, null, { remotePublicKey: NoiseStream.keyPair().publicKey })
+  const b = new NoiseStream(false)
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  a.on('connect', () => t.fail('should not connect'))
+  a.on('error', (err) => t.is(err.message, 'Noise handshake failed'))
+  b.on('error', () => t.pass('responder errored'))
+})
+
+test('channels', function (t) {
+  t.plan(6)
+
+  const a = new NoiseStream(true, null, { channels: true })
+  const b = new NoiseStream(false, null, { channels: true })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  const a1 = a.openChannel('one')
+  const a2 = a.openChannel('two')
+
+  b.on('channel', function (name) {
+    t.ok(name === 'one' || name === 'two', 'remote opened ' + name)
+
+    const channel = b.openChannel(name)
+
+    channel.on('data', function (data) {
+      t.alike(data, Buffer.from('hello ' + name))
+      channel.write(Buffer.from('reply ' + name))
+    })
+  })
+
+  a1.write(Buffer.from('hello one'))
+  a2.write('hello two')
+
+  a1.once('data', function (data) {
+    t.alike(data, Buffer.from('reply one'))
+  })
+
+  t.exception(() => a.openChannel('one'), /already open/)
+})
+
+test('channels have their own backpressure', async function (t) {
+  const a = new NoiseStream(true, null, { channels: true })
+  const b = new NoiseStream(false, null, { channels: true })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  const aSlow = a.openChannel('slow')
+  const aFast = a.openChannel('fast')
+  b.openChannel('slow') // never read
+  const bFast = b.openChannel('fast')
+
+  const chunk = Buffer.alloc(16 * 1024)
+  for (let i = 0; i < 4; i++) aSlow.write(chunk)
+
+  await new Promise((resolve) => setTimeout(resolve, 100))
+
+  t.ok(aSlow._remotePaused, 'slow channel is paused by the remote')
+
+  aFast.write(Buffer.from('still flowing'))
+  const [data] = await Events.once(bFast, 'data')
+  t.alike(data, Buffer.from('still flowing'))
+
+  a.destroy()
+  b.destroy()
+})
+
+test('channel errors are isolated', function (t) {
+  t.plan(4)
+
+  const a = new NoiseStream(true, null, { channels: true })
+  const b = new NoiseStream(false, null, { channels: true })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  const aBad = a.openChannel('bad')
+  const aGood = a.openChannel('good')
+  const bBad = b.openChannel('bad')
+  const bGood = b.openChannel('good')
+
+  aBad.on('error', (err) => t.is(err.message, 'boom'))
+  bBad.on('error', (err) => t.is(err.code, 'CHANNEL_CLOSED'))
+
+  bBad.on('close', function () {
+    aGood.write(Buffer.from('hello'))
+  })
+
+  bGood.on('data', function (data) {
+    t.alike(data, Buffer.from('hello'))
+    t.absent(a.destroying || b.destroying, 'streams are still open')
+  })
+
+  aBad.on('open', () => aBad.destroy(new Error('boom')))
+})
+
+test('large channel writes are split into frames', function (t) {
+  t.plan(3)
+
+  const a = new NoiseStream(true, null, { channels: true })
+  const b = new NoiseStream(false, null, { channels: true })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  const aLarge = a.openChannel('large')
+  const aSmall = a.openChannel('small')
+  const bLarge = b.openChannel('large')
+  const bSmall = b.openChannel('small')
+
+  const message = crypto.randomBytes(17 * 1024 * 1024)
+  const recv = []
+  let recvBytes = 0
+
+  aLarge.write(message)
+  aSmall.write(Buffer.from('hello'))
+
+  bLarge.on('data', function (data) {
+    recv.push(data)
+    recvBytes += data.byteLength
+    if (recvBytes === message.byteLength) {
+      t.ok(Buffer.concat(recv).equals(message), 'received all of it')
+      t.absent(a.destroying || b.destroying, 'streams are still open')
+    }
+  })
+
+  bSmall.on('data', (data) => t.alike(data, Buffer.from('hello')))
+})
+
+test('channels close gracefully', function (t) {
+  t.plan(4)
+
+  const a = new NoiseStream(true, null, { channels: true })
+  const b = new NoiseStream(false, null, { channels: true })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  const ac = a.openChannel('channel')
+  const bc = b.openChannel('channel')
+
+  ac.on('error', () => t.fail('should not error'))
+  bc.on('error', () => t.fail('should not error'))
+
+  ac.end(Buffer.from('bye'))
+
+  bc.on('data', (data) => t.alike(data, Buffer.from('bye')))
+  bc.on('end', () => bc.end())
+
+  ac.on('end', () => t.pass('ended'))
+  ac.resume()
+
+  ac.on('close', () => t.pass('initiator channel closed'))
+  bc.on('close', () => t.pass('responder channel closed'))
+})
+
+test('export keying material', async function (t) {
+  const a = new NoiseStream(true)
+  const b = new NoiseStream(false)
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  t.exception(() => a.exportKeyingMaterial('label'), /Handshake is not done yet/)
+
+  await a.opened
+  await b.opened
+
+  t.alike(
+    a.exportKeyingMaterial('label'),
+    b.exportKeyingMaterial('label'),
+    'same key on both sides'
+  )
+  t.alike(
+    a.exportKeyingMaterial('label', 'context', 64),
+    b.exportKeyingMaterial(Buffer.from('label'), Buffer.from('context'), 64)
+  )
+
+  t.is(a.exportKeyingMaterial('label').byteLength, 32)
+  t.is(a.exportKeyingMaterial('label', null, 16).byteLength, 16)
+
+  t.unlike(a.exportKeyingMaterial('label'), a.exportKeyingMaterial('other'))
+  t.unlike(a.exportKeyingMaterial('label'), a.exportKeyingMaterial('label', ''))
+  t.unlike(a.exportKeyingMaterial('label', 'a'), a.exportKeyingMaterial('label', 'b'))
+  t.unlike(a.exportKeyingMaterial('ab', 'c'), a.exportKeyingMaterial('a', 'bc'))
+  t.unlike(
+    a.exportKeyingMaterial('label').subarray(0, 16),
+    a.exportKeyingMaterial('label', null, 16)
+  )
+
+  t.exception(() => a.exportKeyingMaterial('label', null, 8))
+  t.exception(() => a.exportKeyingMaterial('label', null, 65))
+
+  a.destroy()
+  b.destroy()
+
+  t.exception(() => a.exportKeyingMaterial('label'), /Stream destroyed/)
+})
+
+test('export keying material test vectors', function (t) {
+  const s = new NoiseStream(true, null, {
+    handshake: {
+      tx: Buffer.alloc(32, 1),
+      rx: Buffer.alloc(32, 2),
+      hash: Buffer.alloc(64, 3),
+      publicKey: Buffer.alloc(32, 4),
+      remotePublicKey: Buffer.alloc(32, 5)
+    }
+  })
+
+  t.is(
+    s.exportKeyingMaterial('my-app/v1').toString('hex'),
+    'c330fda398e9a5e6aab6a597203d58b0a4824fc522a8c4bc0da052e6d07dfec7'
+  )
+  t.is(
+    s.exportKeyingMaterial('my-app/v1', '').toString('hex'),
+    '791857ee4d96a0b5d601103e139439d1dc34a28fc6d9381853ba35503ff33dec'
+  )
+  t.is(
+    s.exportKeyingMaterial('my-app/v1', 'context', 64).toString('hex'),
+    '44ea7f0acb3bf59613cc9f7857c8a57a9f61a3be35fad3f797178fcb5f9547bc' +
+      '741a953599ecdca3f3822d708f9fe1eba0c77c8284f8a0c5aa4f31183c8584ed'
+  )
+
+  s.destroy()
+})
+
+test('session attestations', async function (t) {
+  const a = new NoiseStream(true)
+  const b = new NoiseStream(false)
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  t.exception(() => a.attest(), /Handshake is not done yet/)
+
+  await a.opened
+  await b.opened
+
+  const payload = Buffer.from('audit entry')
+  const signature = a.attest(payload)
+
+  t.ok(NoiseStream.verifyAttestation(signature, payload, a.publicKey, a.handshakeHash))
+  t.ok(
+    NoiseStream.verifyAttestation(signature, 'audit entry', b.remotePublicKey, b.handshakeHash),
+    'remote can verify it'
+  )
+  t.ok(
+    NoiseStream.verifyAttestation(b.attest(), Buffer.alloc(0), a.remotePublicKey, a.handshakeHash)
+  )
+
+  t.absent(NoiseStream.verifyAttestation(signature, 'other', a.publicKey, a.handshakeHash))
+  t.absent(NoiseStream.verifyAttestation(signature, payload, b.publicKey, a.handshakeHash))
+  t.absent(NoiseStream.verifyAttestation(signature, payload, a.publicKey, Buffer.alloc(64)))
+  t.absent(NoiseStream.verifyAttestation(Buffer.alloc(1), payload, a.publicKey, a.handshakeHash))
+
+  a.destroy()
+  b.destroy()
+})
+
+test('session attestations need a static key pair', async function (t) {
+  const a = new NoiseStream(true, null, { pattern: 'NN' })
+  const b = new NoiseStream(false, null, { pattern: 'NN' })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  await a.opened
+
+  t.exception(() => a.attest(), /No static key pair/)
+
+  a.destroy()
+  b.destroy()
+})
+
+test('resume a session with a ticket', async function (t) {
+  const tickets = NoiseStream.tickets()
+  const resumption = await createResumption(t, tickets)
+
+  const a = new NoiseStream(true, null, { resume: resumption })
+  const b = new NoiseStream(false, null, { tickets })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  const patterns = []
+  b.on('handshake', (pattern) => patterns.push(pattern))
+
+  await a.opened
+  await b.opened
+
+  t.ok(a.resumed)
+  t.ok(b.resumed)
+  t.alike(patterns, [null])
+  t.alike(a.publicKey, b.remotePublicKey)
+  t.alike(a.remotePublicKey, b.publicKey)
+  t.alike(a.remotePublicKey, resumption.remotePublicKey)
+  t.alike(a.handshakeHash, b.handshakeHash)
+  t.unlike(a.handshakeHash, resumption.secret)
+
+  a.write(Buffer.from('hello'))
+  t.alike((await Events.once(b, 'data'))[0], Buffer.from('hello'))
+
+  b.write(Buffer.from('world'))
+  t.alike((await Events.once(a, 'data'))[0], Buffer.from('world'))
+
+  a.destroy()
+  b.destroy()
+})
+
+test('resumed sessions get fresh keys', async function (t) {
+  const tickets = NoiseStream.tickets()
+
+  const a = new NoiseStream(true)
+  const b = new NoiseStream(false, null, { tickets })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  await a.opened
+  await b.opened
+
+  const hashes = [a.handshakeHash]
+
+  for (const resumption of [a.resumption(b.issueTicket()), a.resumption(b.issueTicket())]) {
+    const [c, d] = await resume(resumption, tickets)
+    t.ok(c.resumed)
+    hashes.push(c.handshakeHash)
+    c.destroy()
+    d.destroy()
+  }
+
+  t.unlike(hashes[0], hashes[1])
+  t.unlike(hashes[0], hashes[2])
+  t.unlike(hashes[1], hashes[2])
+
+  a.destroy()
+  b.destroy()
+})
+
+test('resumption secret is not derived from the handshake hash alone', async function (t) {
+  const tickets = NoiseStream.tickets()
+
+  const a = new NoiseStream(true)
+  const b = new NoiseStream(false, null, { tickets })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  await a.opened
+  await b.opened
+
+  const resumption = a.resumption(b.issueTicket())
+
+  const NS_TICKET = HypercoreCrypto.namespace('hyperswarm/secret-stream', 6)[5]
+  const fromHash = Buffer.alloc(32)
+  sodium.crypto_generichash(fromHash, NS_TICKET, a.handshakeHash)
+
+  t.unlike(resumption.secret, fromHash)
+  t.unlike(resumption.secret, a.handshakeHash)
+
+  const [c, d] = await resume(resumption, tickets)
+  t.ok(c.resumed, 'both sides derive the same secret')
+  t.ok(d.resumed)
+
+  for (const s of [a, b, c, d]) s.destroy()
+})
+
+test('tickets can only be used once', async function (t) {
+  const tickets = NoiseStream.tickets()
+  const resumption = await createResumption(t, tickets)
+
+  const [a1, b1] = await resume(resumption, tickets)
+  t.ok(a1.resumed)
+  t.ok(b1.resumed)
+
+  const [a2, b2] = await resume(resumption, tickets)
+  t.absent(a2.resumed, 'fell back to a full handshake')
+  t.absent(b2.resumed)
+  t.alike(a2.remotePublicKey, b2.publicKey)
+  t.alike(a2.handshakeHash, b2.handshakeHash)
+
+  a2.write(Buffer.from('hello'))
+  t.alike((await Events.once(b2, 'data'))[0], Buffer.from('hello'))
+
+  for (const s of [a1, b1, a2, b2]) s.destroy()
+})
+
+test('tickets are only valid with their key and lifetime', async function (t) {
+  const tickets = NoiseStream.tickets({ lifetime: 10 })
+  const resumption = await createResumption(t, tickets)
+
+  t.ok(resumption.expiry <= Date.now() + 10)
+
+  {
+    const [a, b] = await resume(resumption, NoiseStream.tickets())
+    t.absent(a.resumed, 'unknown ticket key')
+    a.destroy()
+    b.destroy()
+  }
+
+  await new Promise((resolve) => setTimeout(resolve, 20))
+
+  {
+    const [a, b] = await resume(resumption, tickets)
+    t.absent(a.resumed, 'expired resumptions are not tried')
+    a.destroy()
+    b.destroy()
+  }
+
+  {
+    // make the initiator try anyway
+    const [a, b] = await resume({ ...resumption, expiry: Date.now() + 1000 }, tickets)
+    t.absent(a.resumed, 'expired ticket')
+    a.destroy()
+    b.destroy()
+  }
+})
+
+test('resumption with authorize always does a full handshake', async function (t) {
+  const tickets = NoiseStream.tickets()
+  const resumption = await createResumption(t, tickets)
+
+  const [a, b] = await resume(resumption, tickets, {
+    authorize() {
+      t.pass('authorized the remote')
+      return true
+    }
+  })
+
+  t.absent(a.resumed)
+  t.absent(b.resumed)
+
+  a.destroy()
+  b.destroy()
+})
+
+test('initiators with authorize do not resume', async function (t) {
+  const tickets = NoiseStream.tickets()
+  const resumption = await createResumption(t, tickets)
+
+  const a = new NoiseStream(true, null, {
+    resume: resumption,
+    authorize() {
+      t.pass('authorized the remote')
+      return true
+    }
+  })
+  const b = new NoiseStream(false, null, { tickets })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  t.ok(await a.opened)
+  t.ok(await b.opened)
+  t.absent(a.resumed)
+  t.absent(b.resumed)
+
+  a.destroy()
+  b.destroy()
+})
+
+test('responders without tickets fall back to a full handshake', async function (t) {
+  const resumption = await createResumption(t, NoiseStream.tickets())
+
+  const a = new NoiseStream(true, null, { resume: resumption })
+  const b = new NoiseStream(false)
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  t.ok(await a.opened)
+  t.ok(await b.opened)
+  t.absent(a.resumed)
+  t.absent(b.resumed)
+
+  a.destroy()
+  b.destroy()
+})
+
+test('resumption checks the remote public key of the responder', async function (t) {
+  const tickets = NoiseStream.tickets()
+
+  {
+    const resumption = await createResumption(t, tickets)
+    const [a, b] = await resume(resumption, tickets, { remotePublicKey: resumption.publicKey })
+
+    t.ok(a.resumed, 'resumed with the expected key')
+    t.ok(b.resumed)
+
+    a.destroy()
+    b.destroy()
+  }
+
+  {
+    const resumption = await createResumption(t, tickets)
+
+    const a = new NoiseStream(true, null, { resume: resumption })
+    const b = new NoiseStream(false, null, {
+      tickets,
+      remotePublicKey: NoiseStream.keyPair().publicKey
+    })
+
+    a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+    a.on('error', () => {})
+    b.on('error', (err) => t.is(err.code, 'HANDSHAKE_FAILED', 'full handshake failed'))
+
+    t.absent(await b.opened, 'did not resume with another key')
+    t.absent(b.resumed)
+
+    a.destroy()
+  }
+})
+
+test('ticket errors', async function (t) {
+  const a = new NoiseStream(true)
+  const b = new NoiseStream(false, null, { tickets: NoiseStream.tickets() })
+
+  t.exception(() => b.issueTicket(), /Handshake is not done yet/)
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  await a.opened
+  await b.opened
+
+  t.exception(() => a.issueTicket(), /Only the responder/)
+  t.exception(() => b.resumption(b.issueTicket()), /Only the initiator/)
+  t.exception(() => NoiseStream.tickets({ key: Buffer.alloc(16) }), /Ticket key must be 32 bytes/)
+
+  try {
+    NoiseStream.tickets({ key: Buffer.alloc(16) })
+  } catch (err) {
+    t.ok(err instanceof NoiseStream.SecretStreamError)
+    t.is(err.code, 'BAD_ARGUMENT')
+  }
+
+  a.destroy()
+  b.destroy()
+})
+
+async function createResumption(t, tickets) {
+  const a = new NoiseStream(true)
+  const b = new NoiseStream(false, null, { tickets })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  await a.opened
+  await b.opened
+
+  const resumption = a.resumption(b.issueTicket())
+
+  a.destroy()
+  b.destroy()
+
+  return resumption
+}
+
+async function resume(resumption, tickets, opts = {}) {
+  const a = new NoiseStream(true, null, { resume: resumption })
+  const b = new NoiseStream(false, null, { tickets, ...opts })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  await a.opened
+  await b.opened
+
+  return [a, b]
+}
+
+test('migrate a session to a new transport', async function (t) {
+  const first = createTransport()
+  const a = new NoiseStream(true, first.a, { migration: true })
+  const b = new NoiseStream(false, first.b, { migration: true })
+
+  const received = []
+  b.on('data', (data) => received.push(data.toString()))
+
+  await a.opened
+  await b.opened
+
+  a.write('a')
+  await Events.once(b, 'data')
+
+  // everything written now is lost
+  first.drop()
+  a.write('b')
+  a.write('c')
+  b.write('d')
+
+  const disconnected = Promise.all([Events.once(a, 'disconnect'), Events.once(b, 'disconnect')])
+  first.destroy()
+  await disconnected
+
+  t.absent(a.destroying)
+  t.absent(b.destroying)
+
+  a.write('e')
+
+  const second = createTransport()
+  const migrated = Promise.all([Events.once(a, 'migrate'), Events.once(b, 'migrate')])
+
+  a.migrate(second.a)
+  b.migrate(second.b)
+
+  await migrated
+
+  t.is(a.rawStream, second.a)
+  t.is(b.rawStream, second.b)
+
+  const [data] = await Events.once(a, 'data')
+  t.alike(data, Buffer.from('d'))
+
+  const closed = Promise.all([Events.once(a, 'close'), Events.once(b, 'close')])
+
+  a.end('f')
+  b.end()
+  a.resume()
+
+  await closed
+  t.alike(received, ['a', 'b', 'c', 'e', 'f'], 'nothing lost or duplicated')
+})
+
+test('migrate a session before the disconnect is noticed', async function (t) {
+  const first = createTransport()
+  const a = new NoiseStream(true, first.a, { migration: true })
+  const b = new NoiseStream(false, first.b, { migration: true })
+
+  b.on('disconnect', () => t.fail('should not disconnect'))
+
+  await a.opened
+  await b.opened
+
+  first.drop()
+  a.write('hello')
+
+  const second = createTransport()
+
+  a.migrate(second.a)
+  b.migrate(second.b)
+
+  const [data] = await Events.once(b, 'data')
+  t.alike(data, Buffer.from('hello'))
+  t.ok(first.a.destroyed, 'old transport is destroyed')
+  t.ok(first.b.destroyed)
+
+  a.destroy()
+  b.destroy()
+})
+
+test('migrate needs the same session', async function (t) {
+  const a = new NoiseStream(true, null, { migration: true })
+  const b = new NoiseStream(false, null, { migration: true })
+
+  t.exception(() => a.migrate(createTransport().a), /Handshake is not done yet/)
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  const c = new NoiseStream(true, null, { migration: true })
+  const d = new NoiseStream(false, null, { migration: true })
+
+  c.rawStream.pipe(d.rawStream).pipe(c.rawStream)
+
+  await a.opened
+  await d.opened
+
+  const transport = createTransport()
+
+  a.on('migrate', () => t.fail('should not migrate'))
+  d.on('migrate', () => t.fail('should not migrate'))
+
+  a.migrate(transport.a)
+  d.migrate(transport.b)
+
+  const [err] = await Promise.race([Events.once(a, 'error'), Events.once(d, 'error')])
+  t.is(err.message, 'Invalid migration message received')
+
+  const e = new NoiseStream(true)
+  t.exception(() => e.migrate(createTransport().a), /Migration is not enabled/)
+
+  for (const s of [a, b, c, d, e]) s.destroy()
+})
+
+test('migrate is not authenticated by the handshake hash alone', async function (t) {
+  const a = new NoiseStream(true, null, { migration: true })
+  const b = new NoiseStream(false, null, { migration: true })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  await a.opened
+  await b.opened
+
+  const transport = createTransport()
+
+  a.on('migrate', () => t.fail('should not migrate'))
+  a.migrate(transport.a)
+
+  // what a third party that saw the handshake hash could send
+  const [, NS_RESPONDER, , , , , , NS_MIGRATE] = HypercoreCrypto.namespace(
+    'hyperswarm/secret-stream',
+    8
+  )
+  const frame = Buffer.alloc(3 + 8 + 32)
+  frame[0] = 8 + 32
+  sodium.crypto_generichash_batch(
+    frame.subarray(11),
+    [NS_MIGRATE, NS_RESPONDER, frame.subarray(3, 11)],
+    a.handshakeHash
+  )
+  transport.b.write(frame)
+
+  const [err] = await Events.once(a, 'error')
+  t.is(err.message, 'Invalid migration message received')
+
+  a.destroy()
+  b.destroy()
+})
+
+test('export and restore a session', async function (t) {
+  const transport = createTransport()
+  const a = new NoiseStream(true, transport.a)
+  const b = new NoiseStream(false, transport.b)
+
+  t.exception(() => b.exportSession(), /Handshake is not done yet/)
+
+  await a.opened
+  await b.opened
+
+  a.write(Buffer.from('before'))
+  t.alike((await Events.once(b, 'data'))[0], Buffer.from('before'))
+
+  const rawStream = transport.b
+  const handshakeHash = b.handshakeHash
+  const session = structuredClone(b.exportSession())
+
+  t.ok(b.destroying, 'exported stream is destroyed')
+  t.absent(rawStream.destroying, 'raw stream is handed over')
+
+  const c = new NoiseStream(false, rawStream, { session })
+
+  t.exception(() => new NoiseStream(true, rawStream, { session }), /exported from the responder/)
+
+  await c.opened
+
+  t.alike(c.handshakeHash, handshakeHash)
+  t.alike(c.remotePublicKey, a.publicKey)
+
+  a.write(Buffer.from('after'))
+  t.alike((await Events.once(c, 'data'))[0], Buffer.from('after'))
+
+  c.write(Buffer.from('from the restored stream'))
+  t.alike((await Events.once(a, 'data'))[0], Buffer.from('from the restored stream'))
+
+  a.destroy()
+  c.destroy()
+})
+
+test('export a session right after the handshake', async function (t) {
+  const transport = createTransport()
+  const a = new NoiseStream(true, transport.a)
+  const b = new NoiseStream(false, transport.b)
+
+  await a.opened
+
+  // the header of the responder might not be there yet
+  const c = new NoiseStream(true, transport.a, { session: a.exportSession() })
+
+  b.write(Buffer.from('hello'))
+  t.alike((await Events.once(c, 'data'))[0], Buffer.from('hello'))
+
+  c.write(Buffer.from('world'))
+  t.alike((await Events.once(b, 'data'))[0], Buffer.from('world'))
+
+  b.destroy()
+  c.destroy()
+})
+
+test('export a session with queued writes', async function (t) {
+  const transport = createTransport()
+  const a = new NoiseStream(true, transport.a)
+  const b = new NoiseStream(false, transport.b)
+
+  await a.opened
+  await b.opened
+
+  a.write(Buffer.from('before export'))
+
+  try {
+    a.exportSession()
+    t.fail('should not export')
+  } catch (err) {
+    t.is(err.code, 'INVALID_OPERATION')
+  }
+
+  await a.flush()
+
+  const c = new NoiseStream(true, transport.a, { session: a.exportSession() })
+
+  t.alike((await Events.once(b, 'data'))[0], Buffer.from('before export'))
+
+  c.write(Buffer.from('after export'))
+  t.alike((await Events.once(b, 'data'))[0], Buffer.from('after export'))
+
+  b.destroy()
+  c.destroy()
+})
+
+test('export a session in the middle of a frame', async function (t) {
+  const a = new NoiseStream(true)
+  const raw = new Duplex({
+    write(data, cb) {
+      a.rawStream.write(data)
+      cb(null)
+    }
+  })
+
+  let split = false
+  const pending = []
+
+  a.rawStream.on('data', function (data) {
+    if (split) pending.push(data)
+    else raw.push(data)
+  })
+
+  const b = new NoiseStream(false, raw)
+
+  await a.opened
+  await b.opened
+
+  // wait for the header
+  a.write(Buffer.from('ping'))
+  await Events.once(b, 'data')
+
+  split = true
+  a.write(Buffer.from('hello world'))
+  await new Promise((resolve) => setImmediate(resolve))
+
+  const frame = Buffer.concat(pending)
+
+  // part of the length
+  raw.push(frame.subarray(0, 2))
+  await new Promise((resolve) => setImmediate(resolve))
+
+  const c = new NoiseStream(false, raw, { session: b.exportSession() })
+
+  // part of the message
+  raw.push(frame.subarray(2, 10))
+  await new Promise((resolve) => setImmediate(resolve))
+
+  const d = new NoiseStream(false, raw, { session: c.exportSession() })
+
+  raw.push(frame.subarray(10))
+  t.alike((await Events.once(d, 'data'))[0], Buffer.from('hello world'))
+
+  a.destroy()
+  d.destroy()
+})
+
+test('padding to a block size', async function (t) {
+  const a = new NoiseStream(true, null, { padding: 64 })
+  const b = new NoiseStream(false, null, { padding: 64 })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  await a.opened
+
+  for (const message of ['', 'hello', 'a'.repeat(63), 'a'.repeat(64)]) {
+    const before = a.rawBytesWritten
+    a.write(Buffer.from(message))
+
+    const [data] = await Events.once(b, 'data')
+    t.is(data.toString(), message, 'padding is removed')
+    t.is(a.rawBytesWritten - before, 3 + (message.length < 64 ? 64 : 128) + 17)
+  }
+
+  const before = b.rawBytesWritten
+  const buf = b.alloc(10)
+  buf.fill('b')
+  b.write(buf)
+
+  const [data] = await Events.once(a, 'data')
+  t.alike(data, Buffer.alloc(10, 'b'), 'alloc leaves room for the padding')
+  t.is(b.rawBytesWritten - before, 3 + 64 + 17)
+
+  a.destroy()
+  b.destroy()
+})
+
+test('padding to a power of two or with a function', async function (t) {
+  const a = new NoiseStream(true, null, { padding: 'pow2' })
+  const b = new NoiseStream(false, null, { padding: (len) => len + 100 })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  await a.opened
+
+  let before = a.rawBytesWritten
+  a.write(Buffer.alloc(100))
+  t.alike((await Events.once(b, 'data'))[0], Buffer.alloc(100))
+  t.is(a.rawBytesWritten - before, 3 + 128 + 17)
+
+  before = b.rawBytesWritten
+  b.write(Buffer.from('hello'))
+  t.alike((await Events.once(a, 'data'))[0], Buffer.from('hello'))
+  t.is(b.rawBytesWritten - before, 3 + 105 + 17)
+
+  t.exception(() => new NoiseStream(true, null, { padding: 'nope' }), /Padding must be/)
+
+  a.destroy()
+  b.destroy()
+})
+
+test('padded fragments', function (t) {
+  t.plan(2)
+
+  const a = new NoiseStream(true, null, { fragment: true, padding: 'pow2' })
+  const b = new NoiseStream(false, null, { fragment: true, padding: 'pow2' })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  const message = crypto.randomBytes(20 * 1024 * 1024)
+
+  a.write(message)
+  a.write(Buffer.from('hello'))
+
+  b.once('data', function (data) {
+    t.ok(data.equals(message), 'received as a single message')
+    b.once('data', function (data) {
+      t.alike(data, Buffer.from('hello'))
+    })
+  })
+})
+
+test('padding has to be enabled on both sides', function (t) {
+  t.plan(1)
+
+  const a = new NoiseStream(true)
+  const b = new NoiseStream(false, null, { padding: 16 })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  a.on('error', () => {})
+  b.on('error', (err) => t.is(err.message, 'Invalid padding received'))
+
+  a.write(Buffer.from('hello'))
+})
+
+test('cover traffic sends fixed size frames at a fixed rate', async function (t) {
+  const a = new NoiseStream(true, null, { cover: { interval: 10, size: 256 } })
+  const b = new NoiseStream(false, null, { cover: { interval: 10, size: 256 } })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  // the cover timer is unref'ed
+  const timeout = setTimeout(() => t.fail('timed out'), 5000)
+
+  const received = []
+  b.on('data', (data) => received.push(data))
+
+  await a.opened
+
+  const header = a.rawBytesWritten
+  await new Promise((resolve) => setTimeout(resolve, 100))
+
+  t.ok(a.rawBytesWritten > header, 'sends frames when idle')
+  t.is((a.rawBytesWritten - header) % (3 + 256 + 17), 0, 'all frames have the same size')
+  t.is(received.length, 0, 'dummy frames are dropped')
+
+  const messages = [
+    Buffer.from('hello'),
+    Buffer.alloc(0),
+    crypto.randomBytes(1000),
+    Buffer.from('world')
+  ]
+
+  for (const message of messages) a.write(message)
+
+  while (received.length < messages.length) await Events.once(b, 'data')
+
+  t.alike(received, messages, 'messages keep their boundaries')
+  t.is((a.rawBytesWritten - header) % (3 + 256 + 17), 0)
+
+  clearTimeout(timeout)
+
+  a.destroy()
+  b.destroy()
+})
+
+test('no pings with cover traffic', async function (t) {
+  const a = new NoiseStream(true, null, { cover: { interval: 10, size: 256 } })
+  const b = new NoiseStream(false, null, { cover: { interval: 10, size: 256 } })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  // the cover timer is unref'ed
+  const timeout = setTimeout(() => t.fail('timed out'), 5000)
+
+  await a.opened
+  await b.opened
+
+  await t.exception(a.ping(), /Pings are not supported with cover traffic/)
+
+  const sizes = []
+  b.rawStream.on('data', (data) => sizes.push(data.byteLength))
+
+  // a remote that pings anyway gets no pong
+  a._sendControl(2, Buffer.alloc(4))
+  await new Promise((resolve) => setTimeout(resolve, 50))
+
+  t.ok(sizes.length > 0)
+  t.ok(
+    sizes.every((size) => size % (3 + 256 + 17) === 0),
+    'only cells are sent'
+  )
+
+  clearTimeout(timeout)
+
+  a.destroy()
+  b.destroy()
+})
+
+test('cover traffic sends queued data before ending', async function (t) {
+  const a = new NoiseStream(true, null, { cover: { interval: 5, size: 64 } })
+  const b = new NoiseStream(false, null, { cover: { interval: 5, size: 64 } })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  const timeout = setTimeout(() => t.fail('timed out'), 5000)
+
+  const message = crypto.randomBytes(2000)
+  const received = []
+
+  b.on('data', (data) => received.push(data))
+  b.on('end', () => b.end())
+
+  a.end(message)
+  a.resume()
+
+  await Events.once(b, 'end')
+  t.alike(received, [message])
+
+  clearTimeout(timeout)
+})
+
+test('cover traffic rekeys with the next frame', async function (t) {
+  const a = new NoiseStream(true, null, { cover: { interval: 10 } })
+  const b = new NoiseStream(false, null, { cover: { interval: 10 } })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  const timeout = setTimeout(() => t.fail('timed out'), 5000)
+
+  await a.opened
+
+  a.rekey()
+
+  const [direction] = await Events.once(b, 'rekey')
+  t.is(direction, 'rx')
+
+  a.write(Buffer.from('hello'))
+  t.alike((await Events.once(b, 'data'))[0], Buffer.from('hello'))
+
+  clearTimeout(timeout)
+
+  a.destroy()
+  b.destroy()
+})
+
+test('cover traffic options', function (t) {
+  t.exception(() => new NoiseStream(true, null, { cover: {} }), /needs an interval/)
+  t.exception(
+    () => new NoiseStream(true, null, { cover: { interval: 10, size: 4 } }),
+    /size must be between/
+  )
+})
+
+test('keep alives are swallowed when only the sender enables them', function (t) {
+  t.plan(4)
+
+  const a = new NoiseStream(true)
+  const b = new NoiseStream(false)
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  a.setKeepAlive(50)
+
+  const recv = []
+
+  b.on('data', (data) => recv.push(data))
+  b.on('end', function () {
+    t.alike(recv, [Buffer.from('hi')])
+    b.end()
+  })
+
+  a.resume()
+
+  b.on('connect', function () {
+    t.is(a.protocolVersion, 1)
+    t.is(b.protocolVersion, 1)
+
+    const written = a.rawBytesWritten
+
+    setTimeout(function () {
+      t.ok(a.rawBytesWritten > written, 'sent keep alives')
+      a.end('hi')
+    }, 300)
+  })
+})
+
+test('empty messages are passed through with keep alive enabled', function (t) {
+  t.plan(1)
+
+  const a = new NoiseStream(true)
+  const b = new NoiseStream(false)
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  a.setKeepAlive(500)
+  b.setKeepAlive(500)
+
+  a.write(Buffer.alloc(0))
+
+  b.once('data', function (data) {
+    t.alike(data, Buffer.alloc(0))
+    a.end()
+    b.end()
+  })
+  b.resume()
+})
+
+test('keep alives are empty messages for peers without control frames', async function (t) {
+  t.plan(3)
+
+  const hs = await createHandshake()
+
+  const a = new NoiseStream(true, null, { handshake: hs[0] })
+  const b = new NoiseStream(false, null, { handshake: hs[1] })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  t.is(a.protocolVersion, 0)
+  t.is(b.protocolVersion, 0)
+
+  a.sendKeepAlive()
+
+  const [data] = await Events.once(b, 'data')
+  t.alike(data, Buffer.alloc(0))
+
+  a.destroy()
+  b.destroy()
+})
+
+test('ping', async function (t) {
+  const a = new NoiseStream(true)
+  const b = new NoiseStream(false)
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  t.is(a.stats.rtt, 0)
+  t.is(a.stats.jitter, 0)
+
+  const rtt = await a.ping()
+  t.is(typeof rtt, 'number')
+  t.ok(rtt >= 0)
+
+  await Promise.all([a.ping(), a.ping(), b.ping()])
+  t.ok(a.stats.rtt >= 0)
+  t.ok(a.stats.jitter >= 0)
+
+  b.on('data', () => t.fail('pings are not data'))
+
+  a.destroy()
+  b.destroy()
+})
+
+test('ping errors', async function (t) {
+  const transport = createTransport()
+  const a = new NoiseStream(true, transport.a)
+  const b = new NoiseStream(false, transport.b)
+
+  await a.opened
+
+  // the remote never gets the ping
+  transport.drop()
+
+  const ping = a.ping()
+  setTimeout(() => a.destroy(), 20)
+  await t.exception(ping, /Stream destroyed/)
+  await t.exception(a.ping(), /Stream destroyed/)
+
+  const hs = await createHandshake()
+  const c = new NoiseStream(true, null, { handshake: hs[0] })
+
+  await t.exception(c.ping(), /does not support pings/)
+
+  c.end()
+  await t.exception(c.ping(), /Stream ended/)
+
+  b.destroy()
+  c.destroy()
+})
+
+test('errors have stable codes', async function (t) {
+  const { SecretStreamError } = NoiseStream
+
+  try {
+    new NoiseStream('yes')
+  } catch (err) {
+    t.ok(err instanceof SecretStreamError)
+    t.is(err.code, 'BAD_ARGUMENT')
+  }
+
+  const a = new NoiseStream(true)
+  a.rawStream.write(Buffer.from('\x10\x00\x00garbagegarbagegarbage'))
+
+  const [handshakeError] = await Events.once(a, 'error')
+  t.ok(handshakeError instanceof SecretStreamError)
+  t.is(handshakeError.code, 'HANDSHAKE_FAILED')
+  t.ok(handshakeError.cause, 'keeps the cause')
+
+  const hs = await createHandshake()
+  const b = new NoiseStream(true, null, { handshake: hs[0] })
+  b.rawStream.write(Buffer.concat([Buffer.from([56, 0, 0]), crypto.randomBytes(56)]))
+
+  const [headerError] = await Events.once(b, 'error')
+  t.is(headerError.code, 'INVALID_HEADER')
+
+  const c = new NoiseStream(true)
+  const d = new NoiseStream(false)
+
+  c.rawStream.pipe(d.rawStream).pipe(c.rawStream)
+  d.on('error', () => {})
+  d.write('hi')
+
+  await Events.once(c, 'data')
+  c.rawStream.write(Buffer.from([0xff, 0, 0]))
+  c.rawStream.write(crypto.randomBytes(0xff))
+
+  const [decryptError] = await Events.once(c, 'error')
+  t.is(decryptError.code, 'DECRYPT_FAILED')
+  t.ok(decryptError.cause, 'keeps the cause')
+
+  const e = new NoiseStream(true, null, { channels: true })
+  e.openChannel('channel')
+
+  try {
+    e.openChannel('channel')
+  } catch (err) {
+    t.is(err.code, 'INVALID_OPERATION')
+  }
+
+  e.destroy()
+  await Events.once(e, 'close')
+
+  try {
+    e.openChannel('other')
+  } catch (err) {
+    t.is(err.code, 'STREAM_DESTROYED')
+  }
+})
+
+test('stats', async function (t) {
+  const a = new NoiseStream(true)
+  const b = new NoiseStream(false)
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  a.write('hello')
+
+  await Events.once(b, 'data')
+
+  a.sendKeepAlive()
+  await a.ping()
+
+  t.ok(a.stats.handshakeDuration >= 0)
+  t.is(a.stats.framesSent, 3, 'message, keep alive and ping')
+  t.is(a.stats.keepAlivesSent, 1)
+  t.is(b.stats.keepAlivesReceived, 1)
+  t.is(b.stats.framesReceived, 3)
+  t.is(b.stats.plaintextBytesReceived, 5 + 1 + 5, 'message, keep alive and ping bodies')
+  t.is(b.stats.ciphertextBytesReceived, b.rawBytesRead)
+  t.is(a.stats.ciphertextBytesSent, a.rawBytesWritten)
+  t.ok(a.stats.ciphertextBytesSent > a.stats.plaintextBytesSent)
+
+  const json = JSON.parse(JSON.stringify(a))
+  t.alike(json.stats, a.stats)
+
+  a.destroy()
+  b.destroy()
+})
+
+test('unordered message stats', async function (t) {
+  const [a, b, destroy] = udxPair()
+
+  await a.opened
+  await b.opened
+
+  const received = new Promise((resolve) => b.once('message', resolve))
+
+  await a.send(Buffer.from('hi'))
+  await received
+
+  const tampered = a._boxMessage(Buffer.from('tampered'))
+  tampered[tampered.byteLength - 1] ^= 1
+
+  await a.rawStream.send(Buffer.alloc(sodium.crypto_secretbox_NONCEBYTES - 1))
+  await a.rawStream.send(tampered)
+
+  await new Promise((resolve) => setTimeout(resolve, 100))
+
+  t.is(a.stats.unorderedSent, 1)
+  t.is(b.stats.unorderedReceived, 1)
+  t.alike(b.stats.unorderedDropped, { short: 1, mac: 1, replay: 0 })
+
+  await destroy()
+})
+
+test('key log', async function (t) {
+  const aLog = []
+  const bLog = []
+
+  const a = new NoiseStream(true, null, { keyLog: (line) => aLog.push(line) })
+  const b = new NoiseStream(false, null, { keyLog: (line) => bLog.push(line) })
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  a.write('hello')
+  b.write('world')
+
+  await Promise.all([Events.once(a, 'data'), Events.once(b, 'data')])
+
+  const hash = a.handshakeHash.toString('hex')
+
+  t.alike(aLog.slice().sort(), bLog.slice().sort(), 'same lines on both sides')
+  t.alike(aLog.map((line) => line.split(' ')[0]).sort(), [
+    'INITIATOR_HEADER',
+    'INITIATOR_KEY',
+    'RESPONDER_HEADER',
+    'RESPONDER_KEY'
+  ])
+  t.ok(aLog.includes('INITIATOR_KEY ' + hash + ' ' + a._encrypt.key.toString('hex')))
+  t.ok(aLog.includes('RESPONDER_KEY ' + hash + ' ' + b._encrypt.key.toString('hex')))
+
+  const c = new NoiseStream(true)
+  const d = new NoiseStream(false)
+
+  c.rawStream.pipe(d.rawStream).pipe(c.rawStream)
+  await c.opened
+  t.is(c._keyLog, null, 'off by default')
+
+  a.destroy()
+  b.destroy()
+  c.destroy()
+  d.destroy()
+})
+
+test('decode a transcript', async function (t) {
+  const { decode } = require('./lib/transcript')
+
+  const keyLog = []
+  const captured = []
+
+  const a = new NoiseStream(true, null, { finalTag: true, keyLog: (line) => keyLog.push(line) })
+  const b = new NoiseStream(false)
+
+  // copied, as the remote decrypts in place
+  a.rawStream.on('data', (data) => captured.push(Buffer.from(data)))
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  a.write('hello')
+  a.rekey()
+  a.write('world')
+  a.end()
+
+  b.resume()
+  await Events.once(b, 'end')
+
+  const capture = Buffer.concat(captured)
+  const transcript = decode(capture, keyLog.join('\n'))
+
+  t.alike(transcript.handshakeHash, a.handshakeHash)
+  t.is(transcript.initiator, true)
+  t.alike(
+    transcript.frames.map((f) => f.type),
+    ['handshake', 'handshake', 'header', 'message', 'rekey', 'message', 'final']
+  )
+  t.alike(
+    transcript.frames.filter((f) => f.type === 'message').map((f) => f.plain),
+    [Buffer.from('hello'), Buffer.from('world')]
+  )
+  t.is(transcript.remaining.byteLength, 0)
+
+  const partial = decode(capture.subarray(0, capture.byteLength - 1), keyLog)
+  t.is(partial.frames.length, 6)
+  t.is(partial.remaining.byteLength, 3 + 17 - 1, 'partial final message')
+
+  const unknown = decode(capture, [])
+  t.is(unknown.handshakeHash, null)
+  t.alike(
+    unknown.frames.map((f) => f.type),
+    ['handshake', 'handshake', 'header', 'encrypted', 'encrypted', 'encrypted', 'encrypted']
+  )
+  t.ok(
+    unknown.frames.every((f) => f.plain === null),
+    'nothing decrypted without keys'
+  )
+
+  b.end()
+})
+
+test('key material is wiped on destroy', async function (t) {
+  const a = new NoiseStream(true)
+  const b = new NoiseStream(false)
+
+  b.on('error', () => {})
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  a.write('hello')
+  await Events.once(b, 'data')
+
+  const secrets = [
+    a._encrypt.key,
+    a._encrypt.state,
+    a._decrypt.key,
+    a._decrypt.state,
+    a._sendState,
+    a._secret,
+    a._generatedKeyPair.secretKey
+  ]
+
+  t.ok(
+    secrets.every((buf) => !buf.equals(Buffer.alloc(buf.byteLength))),
+    'sanity check'
+  )
+
+  a.destroy()
+  await Events.once(a, 'close')
+
+  t.ok(
+    secrets.every((buf) => buf.equals(Buffer.alloc(buf.byteLength))),
+    'all secrets are zeroed'
+  )
+  t.is(a._sendState, null)
+  t.exception(() => a.attest(), /Stream destroyed/, 'no signing with a wiped key pair')
+
+  b.destroy()
+})
+
+test('handshake state is wiped when destroyed during the handshake', async function (t) {
+  const a = new NoiseStream(true)
+
+  // the first handshake message is sent, but never answered
+  await new Promise((resolve) => setImmediate(resolve))
+  const { noise } = a._handshake
+
+  const secrets = [noise.chainingKey, noise.digest, noise.e.secretKey]
+
+  t.ok(
+    secrets.every((buf) => !buf.equals(Buffer.alloc(buf.byteLength))),
+    'sanity check'
+  )
+
+  a.destroy()
+  await Events.once(a, 'close')
+
+  t.ok(
+    secrets.every((buf) => buf.equals(Buffer.alloc(buf.byteLength))),
+    'noise state is zeroed'
+  )
+
+  const resumption = await createResumption(t, NoiseStream.tickets())
+  const b = new NoiseStream(true, null, { resume: resumption })
+
+  b.destroy()
+  await Events.once(b, 'close')
+
+  t.alike(resumption.secret, Buffer.alloc(32), 'resumption secret is zeroed')
+})
+
+test('a key pair that is passed in is not wiped', async function (t) {
+  const keyPair = NoiseStream.keyPair()
+  const secretKey = Buffer.from(keyPair.secretKey)
+
+  const a = new NoiseStream(true, null, { keyPair })
+  const b = new NoiseStream(false)
+
+  b.on('error', () => {})
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+  await a.opened
+
+  a.destroy()
+  b.destroy()
+  await Events.once(a, 'close')
+
+  t.alike(keyPair.secretKey, secretKey)
+})
+
+function createTransport() {
+  let dropped = false
+
+  const a = new Duplex({
+    write(data, cb) {
+      if (!dropped) b.push(data)
+      cb(null)
+    },
+    final(cb) {
+      if (!dropped) b.push(null)
+      cb(null)
+    }
+  })
+
+  const b = new Duplex({
+    write(data, cb) {
+      if (!dropped) a.push(data)
+      cb(null)
+    },
+    final(cb) {
+      if (!dropped) a.push(null)
+      cb(null)
+    }
+  })
+
+  return {
+    a,
+    b,
+    drop() {
+      dropped = true
+    },
+    destroy() {
+      a.destroy()
+      b.destroy()
+    }
+  }
+}
+
+function createHandshake() {
+  return new Promise((resolve, reject) => {
+    const a = new NoiseStream(true)
+    const b = new NoiseStream(false)
+
+    let missing = 2
+
+    a.on('handshake', onhandshake)
+    b.on('handshake', onhandshake)
+
+    a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+    function onhandshake() {
+      if (--missing === 0) {
+        // the keys are copied as destroying wipes them
+        a.destroy()
+        b.destroy()
+        resolve([
+          {
+            publicKey: a.publicKey,
+            remotePublicKey: a.remotePublicKey,
+            hash: a.handshakeHash,
+            tx: Buffer.from(a._encrypt.key),
+            rx: Buffer.from(a._decrypt.key)
+          },
+          {
+            publicKey: b.publicKey,
+            remotePublicKey: b.remotePublicKey,
+            hash: b.handshakeHash,
+            tx: Buffer.from(b._encrypt.key),
+            rx: Buffer.from(b._decrypt.key)
+          }
+        ])
+      }
+    }
+  })
+}
+
+test('basic - unslab checks', function (t) {
+  t.plan(10)
+
+  const a = new NoiseStream(true)
+  const b = new NoiseStream(false)
+
+  a.rawStream.pipe(b.rawStream).pipe(a.rawStream)
+
+  a.on('open', function () {
+    const push = a._encrypt
+    const pull = a._decrypt
+
+    t.ok(push.key.buffer.byteLength < 100, 'push.key.buffer no slab')
+    t.ok(push.state.buffer.byteLength < 100, 'push.state.buffer no slab')
+    t.ok(push.header.buffer.byteLength < 100, 'push.header.buffer no slab')
+
+    t.ok(pull.key.buffer.byteLength < 100, 'pull.key.buffer no slab')
+    t.ok(pull.state.buffer.byteLength < 100, 'pull.state.buffer no slab')
+  })
+
+  b.on('open', function () {
+    const push = a._encrypt
+    const pull = a._decrypt
+
+    t.ok(push.key.buffer.byteLength < 100, 'push.key.buffer no slab')
+    t.ok(push.state.buffer.byteLength < 100, 'push.state.buffer no slab')
+    t.ok(push.header.buffer.byteLength < 100, 'push.header.buffer no slab')
+
+    t.ok(pull.key.buffer.byteLength < 100, 'pull.key.buffer no slab')
+    t.ok(pull.state.buffer.byteLength < 100, 'pull.state.buffer no slab')
+  })
+})
+
+function udxPair(getOpts = () => ({})) {
+  const u = new UDX()
+  const socket1 = u.createSocket()
+  const socket2 = u.createSocket()
+  for (const s of [socket1, socket2]) s.bind(0, '0.0.0.0')
+
+  const stream1 = u.createStream(1)
+  const stream2 = u.createStream(2)
+  stream1.connect(socket1, stream2.id, socket2.address().port, '127.0.0.1')
+  stream2.connect(socket2, stream1.id, socket1.address().port, '127.0.0.1')
+
+  return [
+    new NoiseStream(true, stream1, getOpts(0)),
+    new NoiseStream(false, stream2, getOpts(1)),
+    destroyPair
+  ]
+
+  async function destroyPair() {
+    for (const stream of [stream1, stream2]) {
+      stream.destroy()
+      await streamClosed(stream)
+    }
+
+    await socket1.close()
+    await socket2.close()
+  }
+
+  async function streamClosed(stream) {
+    if (stream.destroyed) return
+    return new Promise((resolve) => stream.once('close', resolve))
+  }
+}
+
+test('encrypted unordered message', async function (t) {
+  const [a, b, destroy] = udxPair()
+  const message = Buffer.from('plaintext', 'utf8')
+
+  const transmission1 = new Promise((resolve) => b.once('message', resolve))
+
+  await a.opened
+  await b.opened
+
+  await a.send(message)
+
+  const m0 = await transmission1
+  t.ok(m0.equals(message), 'send(): received & decrypted')
+
+  const transmission2 = new Promise((resolve) => a.once('message', resolve))
+
+  b.trySend(message)
+
+  const m1 = await transmission2
+  t.ok(m1.equals(message), 'trySend(): received & decrypted')
+
+  await destroy()
+})
+
+test('too short messages are ignored', async function (t) {
+  const [a, b, destroy] = udxPair()
+  const message = Buffer.from('plaintext', 'utf8')
+
+  const transmission1 = new Promise((resolve) => b.once('message', resolve))
+
+  await a.opened
+  await b.opened
+
+  await a.send(message)
+
+  const m0 = await transmission1
+  t.ok(m0.equals(message), 'send(): received & decrypted', 'sanity check')
+
+  b.once('message', () => t.fail('invalid messages should not bubble up'))
+
+  // invalid nonce
+  a.rawStream.send(Buffer.from('a'.repeat(sodium.crypto_secretbox_NONCEBYTES - 1)))
+
+  // invalid cipher text
+  a.rawStream.send(Buffer.from('a'.repeat(sodium.crypto_secretbox_NONCEBYTES + 1)))
+
+  // In case errors take a tick to trigger
+  await new Promise((resolve) => setImmediate(resolve))
+
+  await destroy()
+})
+
+test('enableSend opt', async function (t) {
+  t.plan(1)
+
+  const [a, b, destroy] = udxPair((n) => ({ enableSend: n !== 0 }))
+
+  a.once('message', () => t.fail('should not have registered message handler'))
+  b.once('message', async () => {
+    await destroy()
+    t.pass('by default the message handler is set')
+  })
+
+  await a.opened
+  await b.opened
+
+  await b.send(Buffer.from('b-message which does not bubble up at a'))
   await a.send(Buffer.from('a-message which bubbles up at b'))
 })
+
+test('replayed unordered messages are dropped', async function (t) {
+  const [a, b, destroy] = udxPair()
+
+  await a.opened
+  await b.opened
+
+  const received = []
+  b.on('message', (m) => received.push(m.toString()))
+
+  const m0 = a._boxMessage(Buffer.from('m0'))
+  const m1 = a._boxMessage(Buffer.from('m1'))
+
+  await a.rawStream.send(m0)
+  await a.rawStream.send(m1)
+  await a.rawStream.send(m0) // replay
+  await a.rawStream.send(m1) // duplicate
+
+  await new Promise((resolve) => setTimeout(resolve, 100))
+
+  t.alike(received, ['m0', 'm1'])
+  t.is(b.droppedReplays, 2)
+  t.is(b.stats.unorderedDropped.replay, 2)
+
+  await destroy()
+})
+
+test('reordered unordered messages are accepted', async function (t) {
+  const [a, b, destroy] = udxPair()
+
+  await a.opened
+  await b.opened
+
+  const received = []
+  b.on('message', (m) => received.push(m.toString()))
+
+  const m0 = a._boxMessage(Buffer.from('m0'))
+  const m1 = a._boxMessage(Buffer.from('m1'))
+  const m2 = a._boxMessage(Buffer.from('m2'))
+
+  await a.rawStream.send(m2)
+  await a.rawStream.send(m0)
+  await a.rawStream.send(m1)
+  await a.rawStream.send(m0) // replay after reorder
+
+  await new Promise((resolve) => setTimeout(resolve, 100))
+
+  t.alike(received, ['m2', 'm0', 'm1'])
+  t.is(b.droppedReplays, 1)
+
+  await destroy()
+})
+
+test('unordered messages older than the replay window are dropped', async function (t) {
+  const [a, b, destroy] = udxPair(() => ({ replayWindow: 4 }))
+
+  await a.opened
+  await b.opened
+
+  const received = []
+  b.on('message', (m) => received.push(m.toString()))
+
+  const messages = []
+  for (let i = 0; i < 6; i++) messages.push(a._boxMessage(Buffer.from('m' + i)))
+
+  await a.rawStream.send(messages[5])
+  await a.rawStream.send(messages[1]) // too old
+  await a.rawStream.send(messages[2])
+
+  await new Promise((resolve) => setTimeout(resolve, 100))
+
+  t.alike(received, ['m5', 'm2'])
+  t.is(b.droppedReplays, 1)
+
+  await destroy()
+})
+
+test('replay protection can be disabled', async function (t) {
+  const [a, b, destroy] = udxPair(() => ({ replayWindow: 0 }))
+
+  await a.opened
+  await b.opened
+
+  const received = []
+  b.on('message', (m) => received.push(m.toString()))
+
+  const m0 = a._boxMessage(Buffer.from('m0'))
+
+  await a.rawStream.send(m0)
+  await a.rawStream.send(m0)
+
+  await new Promise((resolve) => setTimeout(resolve, 100))
+
+  t.alike(received, ['m0', 'm0'])
+  t.is(b.droppedReplays, 0)
+
+  await destroy()
+})